@@ -5,6 +5,7 @@ foundry
 "use strict";
 
 import { FLAGS, MODULE_ID } from "./const.js";
+import { OBSTACLE_VERSIONS } from "./LOS/config.js";
 
 // Patches for the ActiveEffect class
 export const PATCHES = {};
@@ -21,6 +22,7 @@ PATCHES.BASIC = {};
 function createActiveEffect(document, _options, _userId) {
   const actor = document.parent;
   if ( !actor || !(actor instanceof foundry.documents.Actor) ) return;
+  statusEffectChanged(document);
   const modFlags = document.flags[MODULE_ID];
   if ( !modFlags ) return;
   if ( !(modFlags[FLAGS.UNIQUE_EFFECT.ID] && !modFlags[FLAGS.UNIQUE_EFFECT.LOCAL]) ) return;
@@ -38,6 +40,7 @@ function createActiveEffect(document, _options, _userId) {
 function deleteActiveEffect(document, _options, _userId) {
   const actor = document.parent;
   if ( !actor || !(actor instanceof foundry.documents.Actor) ) return;
+  statusEffectChanged(document);
   const modFlags = document.flags[MODULE_ID];
   if ( !modFlags ) return;
   if ( !(modFlags[FLAGS.UNIQUE_EFFECT.ID] && !modFlags[FLAGS.UNIQUE_EFFECT.LOCAL]) ) return;
@@ -46,7 +49,19 @@ function deleteActiveEffect(document, _options, _userId) {
   token.tokencover.updateCover();
 }
 
-PATCHES.BASIC.HOOKS = { createActiveEffect, deleteActiveEffect };
+/**
+ * When an active effect is enabled or disabled, its statuses are added to or removed from the actor.
+ * @param {Document} document                       The Document instance being updated
+ * @param {object} changed                          Differential data that will be used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateActiveEffect(document, changed, _options, _userId) {
+  if ( !(document.parent instanceof foundry.documents.Actor) ) return;
+  if ( Object.hasOwn(changed, "disabled") || Object.hasOwn(changed, "statuses") ) statusEffectChanged(document);
+}
+
+PATCHES.BASIC.HOOKS = { createActiveEffect, updateActiveEffect, deleteActiveEffect };
 
 /**
  * Create an ActiveEffect instance from status effect data.
@@ -68,3 +83,17 @@ async function _fromStatusEffect(wrapped, statusId, effectData, options) {
 }
 
 PATCHES.BASIC.STATIC_WRAPS = { _fromStatusEffect };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Statuses such as dead or prone change whether a token blocks and its height,
+ * without an update to the token document. Treat as a change to the token obstacles.
+ * @param {ActiveEffect} effect
+ */
+function statusEffectChanged(effect) {
+  if ( !effect.statuses.size ) return;
+  const actor = effect.parent;
+  if ( !actor.getActiveTokens().length ) return;
+  OBSTACLE_VERSIONS.Token += 1;
+}
@@ -3,9 +3,12 @@
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { MODULE_ID, FLAGS, TEMPLATES, FA_ICONS } from "./const.js";
+import { MODULE_ID, FLAGS, TEMPLATES, FA_ICONS, LABELS } from "./const.js";
 import { CoverEffectsApp } from "./CoverEffectsApp.js";
 import { renderTemplateSync } from "./util.js";
+import { coverConditionsContext } from "./CoverConditions.js";
+import { coverCombinationContext } from "./CoverCombination.js";
+import { warnInvalidChangeFormulas } from "./CoverFormulas.js";
 
 export const PATCHES = {};
 PATCHES.BASIC = {};
@@ -55,6 +58,10 @@ async function _preparePartContext(wrapper, partId, context, options) {
   // Add in status effect choices
   context[MODULE_ID] = {
     linkStatusChoices: {},
+    thresholdCoverTypeChoices: LABELS.COVER_EFFECT.THRESHOLD_COVER_TYPE,
+    senseTypeChoices: LABELS.SENSE_TYPES,
+    ...coverConditionsContext(),
+    ...coverCombinationContext(context.document),
   };
 
   // Only allow status to be chosen if it is not already selected by another cover effect.
@@ -70,5 +77,16 @@ async function _preparePartContext(wrapper, partId, context, options) {
   return context;
 }
 
+/**
+ * Warn if change formulas of a cover effect cannot be evaluated.
+ * @param {SubmitEvent} event                   The originating form submission event
+ * @param {HTMLFormElement} form                The form element that was submitted
+ * @param {object} submitData                   Processed and validated form data to be used for a document update
+ * @param {Partial<DatabaseCreateOperation|DatabaseUpdateOperation>} [options]  Additional options
+ */
+async function _processSubmitData(wrapper, event, form, submitData, options) {
+  warnInvalidChangeFormulas(submitData);
+  return wrapper(event, form, submitData, options);
+}
 
-PATCHES.BASIC.WRAPS = { _preparePartContext };
\ No newline at end of file
+PATCHES.BASIC.WRAPS = { _preparePartContext, _processSubmitData };
\ No newline at end of file
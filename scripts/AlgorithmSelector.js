@@ -0,0 +1,267 @@
+/* globals
+canvas,
+CONFIG,
+performance,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Settings } from "./settings.js";
+import { log } from "./util.js";
+import { CalculatorConfig, buildLOSCalculator, buildInitializedLOSCalculator } from "./CoverCalculator.js";
+
+// Patches for the automatic algorithm selection
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * @typedef {object} AlgorithmTiming
+ * Estimated milliseconds for one calculation: base + (perObstacle * number of obstacles).
+ * @prop {number} base
+ * @prop {number} perObstacle
+ */
+
+/**
+ * @typedef {object} ObstacleCounts
+ * @prop {number} walls       Walls, including terrain and proximate walls
+ * @prop {number} tiles
+ * @prop {number} tokens
+ * @prop {number} regions
+ * @prop {number} total
+ */
+
+/**
+ * Chooses the line-of-sight calculator for each viewer and target when the algorithm setting is "auto".
+ * Obstacles between the viewer and target are counted and the algorithm expected to be fastest is used:
+ * - no obstacles: points, testing only the target center, as nothing can partially block;
+ * - many tiles: WebGL2, which accounts for tile transparency at little added cost per tile;
+ * - otherwise: the candidate with the lowest estimated cost for the number of obstacles.
+ * Estimates start from DEFAULT_TIMINGS and are refit by a short benchmark when the scene loads.
+ */
+export class AlgorithmSelector {
+  /**
+   * Starting estimates, in milliseconds, before the benchmark runs.
+   * @type {object<string, AlgorithmTiming>}
+   */
+  static DEFAULT_TIMINGS = {
+    "points": { base: 0.05, perObstacle: 0.01 },
+    "geometric": { base: 0.2, perObstacle: 0.1 },
+    "per-pixel": { base: 1, perObstacle: 0.1 },
+    "webgl2": { base: 1, perObstacle: 0.02 },
+  };
+
+  /** @type {AlgorithmSelector} */
+  static #instance;
+
+  /** @type {AlgorithmSelector} */
+  static get instance() { return (this.#instance ??= new this()); }
+
+  /**
+   * Estimated cost of each candidate algorithm.
+   * @type {Map<string, AlgorithmTiming>}
+   */
+  timings = new Map();
+
+  /**
+   * Candidates that have finished initializing. WebGL2 cannot calculate until then.
+   * @type {Set<string>}
+   */
+  #ready = new Set();
+
+  /** @type {PercentVisibleCalculatorPoints} */
+  #centerCalculator;
+
+  /**
+   * Points calculator that tests only the target center.
+   * Also used to count the obstacles between the viewer and target.
+   * @type {PercentVisibleCalculatorPoints}
+   */
+  get centerCalculator() {
+    return (this.#centerCalculator ??= new CONFIG[MODULE_ID].calculatorClasses.points({
+      ...CalculatorConfig(),
+      targetPointIndex: 1 // Center only.
+    }));
+  }
+
+  /** @type {string[]} */
+  get candidates() { return CONFIG[MODULE_ID].autoAlgorithm.candidates; }
+
+  constructor() { this.resetTimings(); }
+
+  /**
+   * Return to the starting estimates.
+   */
+  resetTimings() {
+    this.timings.clear();
+    for ( const [name, timing] of Object.entries(this.constructor.DEFAULT_TIMINGS) ) this.timings.set(name, { ...timing });
+  }
+
+  /**
+   * Build and initialize the candidate calculators.
+   * Until a candidate is ready, the selector does not choose it.
+   */
+  async initialize() {
+    await Promise.all(this.candidates.map(async name => {
+      await buildInitializedLOSCalculator(name);
+      this.#ready.add(name);
+    }));
+  }
+
+  /**
+   * Modify the permanent config of the candidate calculators and the center calculator.
+   * The center calculator keeps testing only the center point.
+   * @param {CalculatorConfig} cfg
+   */
+  set permanentConfig(cfg) {
+    const calcs = CONFIG[MODULE_ID].losCalculators;
+    for ( const name of this.candidates ) if ( calcs[name] ) calcs[name].permanentConfig = cfg;
+    const { targetPointIndex: _targetPointIndex, targetInset: _targetInset, ...centerCfg } = cfg;
+    this.centerCalculator.permanentConfig = centerCfg;
+  }
+
+  /**
+   * Count the obstacles that could block the target from the viewer.
+   * Leaves the center calculator initialized for this viewer and target.
+   * @param {Viewer} viewer
+   * @param {Token} target
+   * @returns {ObstacleCounts}
+   */
+  countObstacles(viewer, target) {
+    const calc = this.centerCalculator;
+    calc.initializeView({ viewer, target });
+    const { walls, terrainWalls, proximateWalls, reverseProximateWalls, tiles, tokens, regions } = calc.occlusionTester.obstacles;
+    const counts = {
+      walls: walls.size + terrainWalls.size + proximateWalls.size + reverseProximateWalls.size,
+      tiles: tiles.size,
+      tokens: tokens.size,
+      regions: regions.size,
+    };
+    counts.total = counts.walls + counts.tiles + counts.tokens + counts.regions;
+    return counts;
+  }
+
+  /**
+   * Estimated milliseconds for an algorithm to calculate with a number of obstacles.
+   * @param {string} name
+   * @param {number} numObstacles
+   * @returns {number}
+   */
+  estimate(name, numObstacles) {
+    const { base, perObstacle } = this.timings.get(name) ?? { base: Number.POSITIVE_INFINITY, perObstacle: 0 };
+    return base + (perObstacle * numObstacles);
+  }
+
+  /**
+   * Name of the algorithm to use for the given obstacles, or undefined to use the center calculator.
+   * @param {ObstacleCounts} counts
+   * @returns {string|undefined}
+   */
+  chooseAlgorithm(counts) {
+    if ( !counts.total ) return undefined;
+    const ready = this.candidates.filter(name => this.#ready.has(name));
+    if ( !ready.length ) return undefined;
+    if ( ready.includes("webgl2") && counts.tiles >= CONFIG[MODULE_ID].autoAlgorithm.denseTiles ) return "webgl2";
+    let best;
+    let bestCost = Number.POSITIVE_INFINITY;
+    for ( const name of ready ) {
+      const cost = this.estimate(name, counts.total);
+      if ( cost < bestCost ) [best, bestCost] = [name, cost];
+    }
+    return best;
+  }
+
+  /**
+   * Calculator to use for the viewer and target.
+   * @param {Viewer} viewer
+   * @param {Token} target
+   * @returns {PercentVisibleCalculatorAbstract}
+   */
+  select(viewer, target) {
+    const name = this.chooseAlgorithm(this.countObstacles(viewer, target));
+    return name ? buildLOSCalculator(name) : this.centerCalculator;
+  }
+
+  /**
+   * Time each candidate for pairs of tokens in the scene and refit its estimated cost.
+   * The cost per obstacle is the least-squares slope of the time against the number of obstacles.
+   * If the pairs all have the same number of obstacles, only the base is refit.
+   */
+  async benchmark() {
+    await this.initialize();
+    const pairs = benchmarkPairs(CONFIG[MODULE_ID].autoAlgorithm.benchmarkPairs);
+    if ( !pairs.length ) return;
+    const counts = pairs.map(([viewer, target]) => this.countObstacles(viewer, target).total);
+    for ( const name of this.candidates ) {
+      const calc = buildLOSCalculator(name);
+      try {
+        const times = pairs.map(([viewer, target]) => {
+          const t0 = performance.now();
+          calc.initializeView({ viewer, target });
+          calc.calculate();
+          return performance.now() - t0;
+        });
+        this.timings.set(name, fitTiming(counts, times, this.timings.get(name)));
+      } catch ( err ) {
+        console.warn(`${MODULE_ID}|AlgorithmSelector|benchmark of ${name} failed`, err);
+      }
+    }
+    log("AlgorithmSelector#benchmark|timings", Object.fromEntries(this.timings));
+  }
+}
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Timings depend on the scene, so remeasure for each one.
+ */
+function canvasReady() {
+  const { TARGET } = Settings.KEYS.LOS;
+  if ( Settings.get(TARGET.ALGORITHM) !== TARGET.TYPES.AUTO ) return;
+  AlgorithmSelector.instance.resetTimings();
+  AlgorithmSelector.instance.benchmark()
+    .catch(err => console.warn(`${MODULE_ID}|AlgorithmSelector|benchmark failed`, err));
+}
+
+PATCHES.BASIC.HOOKS = { canvasReady };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Pairs of distinct tokens in the scene to benchmark, up to a maximum.
+ * @param {number} maxPairs
+ * @returns {Array<[Token, Token]>}
+ */
+function benchmarkPairs(maxPairs) {
+  const tokens = canvas.tokens.placeables;
+  const pairs = [];
+  for ( const viewer of tokens ) {
+    for ( const target of tokens ) {
+      if ( pairs.length >= maxPairs ) return pairs;
+      if ( viewer !== target ) pairs.push([viewer, target]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Fit the time per calculation as a linear function of the number of obstacles.
+ * @param {number[]} counts               Number of obstacles for each sample
+ * @param {number[]} times                Milliseconds for each sample
+ * @param {AlgorithmTiming} prior         Used for the slope if the counts do not vary
+ * @returns {AlgorithmTiming}
+ */
+function fitTiming(counts, times, prior) {
+  const n = counts.length;
+  const meanCount = counts.reduce((acc, c) => acc + c, 0) / n;
+  const meanTime = times.reduce((acc, t) => acc + t, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  for ( let i = 0; i < n; i += 1 ) {
+    covariance += (counts[i] - meanCount) * (times[i] - meanTime);
+    variance += (counts[i] - meanCount) ** 2;
+  }
+  const perObstacle = variance ? Math.max(covariance / variance, 0) : prior.perObstacle;
+  const base = Math.max(meanTime - (perObstacle * meanCount), 0);
+  return { base, perObstacle };
+}
@@ -0,0 +1,338 @@
+/* globals
+canvas,
+CONFIG,
+foundry,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS as COVER_FLAGS } from "./const.js";
+import { OBSTACLE_VERSIONS } from "./LOS/config.js";
+import { FLAGS } from "./LOS/const.js";
+import { viewerLocation } from "./LOS/util.js";
+import { hasCoverConditions, coverConditionsKey } from "./CoverConditions.js";
+import { coverRuleOverridesKey } from "./CoverOverrides.js";
+
+// Patches for the cover cache
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * @typedef {object} CoverCacheEntry
+ * @prop {number} percentCover
+ * @prop {Set<CoverEffect>} cover
+ * @prop {Map<CoverEffect, number>} [effectPercents]    Percent cover of each cover effect tested
+ */
+
+/**
+ * Bounded least-recently-used cache of cover results.
+ * Keyed by the attacker and target poses, the obstacle versions, and the cover rules.
+ * Unlike TokenCover#coverFromMap, entries survive token moves, so moving back to a position
+ * already measured, or toggling between selected tokens, does not recalculate cover.
+ * Obstacle updates are tracked by the updateCounter placeable watchers in LOS/config.js;
+ * obstacle creation and deletion, by the hooks below.
+ */
+export class CoverCache {
+  /**
+   * Entries, in order of least to most recently used.
+   * @type {Map<string, CoverCacheEntry>}
+   */
+  static #cache = new Map();
+
+  /** @type {number} */
+  static get maxSize() { return CONFIG[MODULE_ID].coverCacheSize ?? 0; }
+
+  /** @type {number} */
+  static get size() { return this.#cache.size; }
+
+  /**
+   * Retrieve a cached cover result, marking it as most recently used.
+   * @param {string} key    See CoverCache.key
+   * @returns {CoverCacheEntry|undefined}
+   */
+  static get(key) {
+    const entry = this.#cache.get(key);
+    if ( !entry ) return undefined;
+    this.#cache.delete(key);
+    this.#cache.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a cover result, dropping the least recently used entries if over the size limit.
+   * @param {string} key    See CoverCache.key
+   * @param {CoverCacheEntry} entry
+   */
+  static set(key, entry) {
+    const maxSize = this.maxSize;
+    if ( !maxSize ) return;
+    this.#cache.delete(key);
+    this.#cache.set(key, entry);
+    for ( const oldKey of this.#cache.keys() ) {
+      if ( this.#cache.size <= maxSize ) break;
+      this.#cache.delete(oldKey);
+    }
+  }
+
+  /**
+   * Remove all entries.
+   */
+  static clear() { this.#cache.clear(); }
+
+  /**
+   * Rules key of each cover calculator, built when first needed. See rulesKey.
+   * @type {WeakMap<CoverCalculator, string>}
+   */
+  static #rulesKeys = new WeakMap();
+
+  /**
+   * Overrides key for each target pose, with the region version at which the keys were built.
+   * @type {{ regionVersion: number, keys: Map<string, string> }}
+   */
+  static #overridesKeys = { regionVersion: -1, keys: new Map() };
+
+  /**
+   * Summary of the cover effects, built when first needed. See effectsSummary.
+   * @type {object|undefined}
+   */
+  static #effects;
+
+  /**
+   * Lighting key, rebuilt only after the lighting is refreshed. See lightingKey.
+   * @type {string|undefined}
+   */
+  static #lightingKey;
+
+  /**
+   * Forget the memoized rules and overrides keys, when settings, cover effects, or overrides change.
+   */
+  static resetRulesKeys() {
+    this.#rulesKeys = new WeakMap();
+    this.#overridesKeys.keys.clear();
+    this.#effects = undefined;
+  }
+
+  /**
+   * Forget the memoized lighting key, when the lighting is refreshed.
+   */
+  static resetLightingKey() { this.#lightingKey = undefined; }
+
+  /**
+   * Memoized rules key for a cover calculator.
+   * @param {CoverCalculator} coverCalc
+   * @returns {string}
+   */
+  static #rulesKey(coverCalc) {
+    let key = this.#rulesKeys.get(coverCalc);
+    if ( key === undefined ) {
+      key = rulesKey(coverCalc, this.#effectsSummary().key);
+      this.#rulesKeys.set(coverCalc, key);
+    }
+    return key;
+  }
+
+  /**
+   * Memoized overrides key for a target. Region changes can change which overrides apply at a pose.
+   * @param {Token} target
+   * @returns {string}
+   */
+  static #overridesKey(target) {
+    const memo = this.#overridesKeys;
+    if ( memo.regionVersion !== OBSTACLE_VERSIONS.Region || memo.keys.size > this.maxSize ) {
+      memo.regionVersion = OBSTACLE_VERSIONS.Region;
+      memo.keys.clear();
+    }
+    const pose = poseKey(target);
+    let key = memo.keys.get(pose);
+    if ( key === undefined ) {
+      key = coverRuleOverridesKey(target);
+      memo.keys.set(pose, key);
+    }
+    return key;
+  }
+
+  /**
+   * Memoized summary of the cover effects.
+   * @returns {{ key: string, hasConcealment: boolean, hasConditions: boolean }}
+   */
+  static #effectsSummary() {
+    const coverEffects = CONFIG[MODULE_ID].CoverEffect._instances;
+
+    // Effects can be added or removed without a document change, such as when loading defaults.
+    if ( this.#effects?.size !== coverEffects.size ) this.#effects = effectsSummary(coverEffects);
+    return this.#effects;
+  }
+
+  /**
+   * Construct the cache key for an attacker and target.
+   * Token obstacle changes exclude updates to the attacker and target, which are part of their poses.
+   * If any cover effect has conditions, the actor properties they test are also part of the key.
+   * So are any scene or region overrides of the cover rules for the target,
+   * and, if any cover effect measures concealment, the lighting.
+   * Construct before calculating, as the calculation may temporarily change the calculator config.
+   * @param {Viewer} attacker
+   * @param {Token} target
+   * @param {CoverCalculator} coverCalc     Calculator for the attacker
+   * @returns {string}
+   */
+  static key(attacker, target, coverCalc) {
+    const tokenVersion = OBSTACLE_VERSIONS.Token
+      - (attacker[MODULE_ID]?.updateId ?? 0)
+      - (target[MODULE_ID]?.updateId ?? 0);
+    const obstacles = `${OBSTACLE_VERSIONS.Wall}.${OBSTACLE_VERSIONS.Tile}.${OBSTACLE_VERSIONS.Region}.${tokenVersion}`;
+    let key = `${poseKey(attacker)}|${poseKey(target)}|${obstacles}|${this.#rulesKey(coverCalc)}`;
+    const overridesKey = this.#overridesKey(target);
+    if ( overridesKey ) key = `${key}|${overridesKey}`;
+    const { hasConcealment, hasConditions } = this.#effectsSummary();
+    if ( hasConcealment ) key = `${key}|${this.#lightingKey ??= lightingKey()}`;
+    return hasConditions ? `${key}|${coverConditionsKey(attacker, target)}` : key;
+  }
+}
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Entries from a prior scene will not be used again.
+ */
+function canvasTearDown() {
+  CoverCache.clear();
+  CoverCache.resetRulesKeys();
+  CoverCache.resetLightingKey();
+}
+
+/**
+ * Level definitions are not part of the key, so changes to them invalidate all results.
+ * @param {Document} scene                          The existing Document which was updated
+ * @param {object} changes                          Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateScene(_scene, changes, _options, _userId) {
+  if ( foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.${FLAGS.SCENE.LEVELS}`) ) CoverCache.clear();
+}
+
+/**
+ * Count a created or deleted obstacle as a change to its type of obstacle.
+ * @param {Document} document                       The Document instance created or deleted
+ * @param {DocumentModificationContext} options     Additional options which modified the request
+ * @param {string} userId                           The ID of the User who triggered the workflow
+ */
+function obstacleCreatedOrDeleted(document, _options, _userId) {
+  if ( document.parent !== canvas.scene ) return;
+  OBSTACLE_VERSIONS[document.documentName] += 1;
+}
+
+/**
+ * Module settings can change the cover rules.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateSetting(document, _changed, _options, _userId) {
+  if ( document.key.startsWith(`${MODULE_ID}.`) ) CoverCache.resetRulesKeys();
+}
+
+/**
+ * Cover effect documents hold the cover rules. Copies of the effects applied to actors do not.
+ * New cover effects are caught when their instance is added. See CoverCache.#effectsSummary.
+ * @param {Document} document                       The Document instance created, updated, or deleted
+ */
+function coverEffectDocumentChanged(document) {
+  const id = document.flags?.[MODULE_ID]?.[COVER_FLAGS.UNIQUE_EFFECT.ID];
+  if ( id && CONFIG[MODULE_ID].CoverEffect._instances.get(id)?.document === document ) CoverCache.resetRulesKeys();
+}
+
+/**
+ * Concealment depends on the lighting.
+ */
+function lightingRefresh() { CoverCache.resetLightingKey(); }
+
+PATCHES.BASIC.HOOKS = {
+  canvasTearDown,
+  updateScene,
+  updateSetting,
+  lightingRefresh,
+  createActiveEffect: coverEffectDocumentChanged,
+  updateActiveEffect: coverEffectDocumentChanged,
+  deleteActiveEffect: coverEffectDocumentChanged,
+  createItem: coverEffectDocumentChanged,
+  updateItem: coverEffectDocumentChanged,
+  deleteItem: coverEffectDocumentChanged,
+  createWall: obstacleCreatedOrDeleted,
+  deleteWall: obstacleCreatedOrDeleted,
+  createTile: obstacleCreatedOrDeleted,
+  deleteTile: obstacleCreatedOrDeleted,
+  createToken: obstacleCreatedOrDeleted,
+  deleteToken: obstacleCreatedOrDeleted,
+  createRegion: obstacleCreatedOrDeleted,
+  deleteRegion: obstacleCreatedOrDeleted
+};
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Key describing the position, elevation, and shape of a viewer or target.
+ * Tokens also include their rotation and footprint; other viewers, their eye elevation.
+ * @param {Viewer} obj
+ * @returns {string}
+ */
+export function poseKey(obj) {
+  if ( obj instanceof CONFIG.GeometryLib.threeD.Point3d ) return `${obj.x},${obj.y},${obj.z}`;
+  const doc = obj.document;
+  const { x, y, elevation, width, height, distance, direction, angle, rotation } = doc;
+  const pose = `${obj.id}@${x},${y},${elevation},${width},${height}`;
+  if ( obj instanceof foundry.canvas.placeables.Token ) {
+    const { [FLAGS.TOKEN.ROTATE_SHAPE]: rotateShape, [FLAGS.TOKEN.FOOTPRINT]: footprint } = doc.flags?.[MODULE_ID] ?? {};
+    return `${pose},${rotateShape ? rotation : 0},${footprint ?? ""}`;
+  }
+  return `${pose},${distance},${direction},${angle},${viewerLocation(obj).z}`;
+}
+
+/**
+ * Key describing the active light and darkness sources, which determine concealment.
+ * Source shapes also depend on walls, which are part of the obstacles key.
+ * @returns {string}
+ */
+function lightingKey() {
+  return [...canvas.effects.darknessSources, ...canvas.effects.lightSources]
+    .filter(src => src.active)
+    .map(src => {
+      const { x, y, elevation, dim, bright } = src.data;
+      return `${src.sourceId}@${x},${y},${elevation},${dim},${bright}`;
+    })
+    .join(";");
+}
+
+/**
+ * Summary of the cover effects for the cache key.
+ * @param {Map<string, CoverEffect>} coverEffects
+ * @returns {{ key: string, hasConcealment: boolean, hasConditions: boolean, size: number }}
+ *   Key describing each cover effect's rules, whether any measures concealment or has conditions,
+ *   and the number of effects
+ */
+function effectsSummary(coverEffects) {
+  const effects = [...coverEffects.values()];
+  return {
+    key: JSON.stringify(effects.map(ce => [ce.document?.id, ce.document?.flags?.[MODULE_ID]])),
+    hasConcealment: effects.some(ce => ce.isConcealment),
+    hasConditions: effects.some(ce => hasCoverConditions(ce.conditions)),
+    size: coverEffects.size,
+  };
+}
+
+/**
+ * Key describing the cover rules: each cover effect's rules and the viewer and calculator configurations.
+ * @param {CoverCalculator} coverCalc
+ * @param {string} effectsKey     See effectsSummary
+ * @returns {string}
+ */
+function rulesKey(coverCalc, effectsKey) {
+  const { losViewer, losCalc } = coverCalc;
+
+  // The auto algorithm's calculator depends on the target, so use the center calculator's config.
+  if ( losViewer.calculatorSelector ) {
+    return JSON.stringify([effectsKey, losViewer.config, "auto", losViewer.calculatorSelector.centerCalculator.config]);
+  }
+  return JSON.stringify([effectsKey, losViewer.config, losCalc.constructor.name, losCalc.config]);
+}
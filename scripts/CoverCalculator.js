@@ -1,6 +1,9 @@
 /* globals
+canvas,
 CONFIG,
+foundry,
 game,
+PIXI,
 Token
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
@@ -13,6 +16,18 @@ import { CoverDialog } from "./CoverDialog.js";
 import { ViewerLOS } from "./LOS/ViewerLOS.js";
 import { pointIndexForSet } from "./LOS/SmallBitSet.js";
 import { NULL_SET } from "./geometry/util.js";
+import {
+  isSoftObstacle,
+  isHeavilyObscured,
+  tileCoverOpacity,
+  viewerLocation,
+  coverVolumeTransmittance } from "./LOS/util.js";
+import { spacesUnderToken, gridSpaceCorners, tokenGridCorners } from "./LOS/shapes_under_token.js";
+import { PercentVisibleCalculatorGridCorners } from "./LOS/calculators/GridCornersCalculator.js";
+import { Point3d } from "./geometry/3d/Point3d.js";
+import { LOSWorkerPool } from "./LOS/workers/LOSWorkerPool.js";
+import { AlgorithmSelector } from "./AlgorithmSelector.js";
+import { poseKey } from "./CoverCache.js";
 
 /* Testing
 Draw = CONFIG.GeometryLib.Draw
@@ -50,6 +65,11 @@ export class CoverCalculator {
    * Ignore when token equals target.
    * @param {Token} token
    * @param {Token[]} targets
+   * @param {Map<Token, Set<CoverEffect>>} [calcs]    Map to which to add the calculations
+   * @param {object} [opts]                           Options passed to coverForToken
+   * @param {string} [opts.templateOrigin]            For a template viewer, one of TEMPLATE_ORIGINS
+   * @param {Map<Token, Map<CoverEffect, number>>} [opts.effectPercents]  If provided, the percent cover
+   *   of each cover effect tested is recorded here for each target
    * @returns {Map<Token, Set<CoverEffect>>}
    */
   static coverCalculations(viewer, targets, calcs, opts) {
@@ -58,10 +78,34 @@ export class CoverCalculator {
       viewer = viewer[0];
     }
     if ( targets instanceof foundry.canvas.placeables.Token ) targets = [targets];
+    calcs ??= new Map();
+    const targetOpts = target => {
+      if ( !opts?.effectPercents ) return opts;
+      const effectPercents = new Map();
+      opts.effectPercents.set(target, effectPercents);
+      return { ...opts, effectPercents };
+    };
+
+    // Cover from the point of the template nearest each target.
+    if ( viewer instanceof foundry.canvas.placeables.MeasuredTemplate
+      && opts?.templateOrigin === this.TEMPLATE_ORIGINS.NEAREST ) {
+      for ( const target of targets ) {
+        const origin = this.templatePointNearestTarget(viewer, target);
+
+        // A target whose center is within the template has no cover from it.
+        if ( !origin ) {
+          calcs.set(target, new Set());
+          continue;
+        }
+        const clone = this.cloneForTemplateOrigin(viewer, origin);
+        calcs.set(target, new CoverCalculator(clone).coverEffects(target, targetOpts(target)));
+        clone.destroy();
+      }
+      return calcs;
+    }
 
     const coverCalc = viewer.tokencover?.coverCalculator ?? new CoverCalculator(viewer);
-    calcs ??= new Map();
-    for ( const target of targets ) calcs.set(target, coverCalc.coverEffects(target, opts));
+    for ( const target of targets ) calcs.set(target, coverCalc.coverEffects(target, targetOpts(target)));
     return calcs;
   }
 
@@ -103,6 +147,66 @@ export class CoverCalculator {
     return clone;
   }
 
+  // ----- NOTE: Template Origins ----- //
+
+  /**
+   * Points from which to measure cover from a measured template.
+   * - ORIGIN: The template's origin point, such as the tip of a cone or the center of a circle.
+   * - NEAREST: The point of the template nearest to each target.
+   * @type {enum<string>}
+   */
+  static TEMPLATE_ORIGINS = {
+    ORIGIN: "origin",
+    NEAREST: "nearest"
+  };
+
+  /**
+   * Find the point of a template's shape nearest to a target's center.
+   * @param {MeasuredTemplate} template
+   * @param {Token} target
+   * @returns {PIXI.Point|null} The canvas point, or null if the target center is within the template
+   */
+  static templatePointNearestTarget(template, target) {
+    const { x, y } = template.document;
+    const shape = template.shape ?? template._computeShape();
+
+    // The template shape is relative to the template origin.
+    const center = target.center;
+    const local = new PIXI.Point(center.x - x, center.y - y);
+    if ( shape.contains(local.x, local.y) ) return null;
+
+    const pts = (shape instanceof PIXI.Polygon ? shape : shape.toPolygon()).points;
+    const nPts = pts.length;
+    const nearest = new PIXI.Point();
+    let minDist2 = Number.POSITIVE_INFINITY;
+    for ( let i = 0; i < nPts; i += 2 ) {
+      const a = { x: pts[i], y: pts[i + 1] };
+      const b = { x: pts[(i + 2) % nPts], y: pts[(i + 3) % nPts] };
+      const pt = foundry.utils.closestPointToSegment(local, a, b);
+      const dist2 = Math.pow(pt.x - local.x, 2) + Math.pow(pt.y - local.y, 2);
+      if ( dist2 >= minDist2 ) continue;
+      minDist2 = dist2;
+      nearest.copyFrom(pt);
+    }
+    return nearest.set(nearest.x + x, nearest.y + y);
+  }
+
+  /**
+   * Clone a template and move its origin, keeping its shape and elevation.
+   * @param {MeasuredTemplate} template
+   * @param {Point} position            New {x, y} origin
+   * @returns {MeasuredTemplate}
+   */
+  static cloneForTemplateOrigin(template, position) {
+    const { x, y } = position;
+    const clone = template.clone();
+    clone.eventMode = "none";
+    clone.document.updateSource({ x, y });
+    clone.position.set(x, y);
+    clone._isCoverCalculatorClone = true;
+    return clone;
+  }
+
   // ----- NOTE: Cover Effects ----- //
 
   /**
@@ -141,13 +245,33 @@ export class CoverCalculator {
 
   /**
    * Calculate the percentage cover over all viewer points if more than one in settings.
+   * Viewpoints are combined using the viewer's aggregation setting; by default, the least cover.
    * @param {Token} target                      Target
    * @param {CalculatorConfig} [cfg]            Options passed to the los calculator
    * @returns {number} Percent between 0 and 1.
    */
   percentCover(target, cfg) {
-    const { losViewer, losCalc } = this;
+    // Use the result calculated in advance by the web workers or earlier in the pass, if any.
+    const memo = this._percentMemo;
+    const resultKey = (this._workerResults.size || memo) ? this.constructor.workerResultKey(this.viewer, target, cfg) : "";
+    if ( this._workerResults.has(resultKey) ) return this._workerResults.get(resultKey);
+    if ( memo?.has(resultKey) ) return memo.get(resultKey);
+    const percent = this._calculatePercentCover(target, cfg);
+    memo?.set(resultKey, percent);
+    return percent;
+  }
+
+  /**
+   * Calculate the percentage cover over all viewer points, without using stored results.
+   * @param {Token} target                      Target
+   * @param {CalculatorConfig} [cfg]            Options passed to the los calculator
+   * @returns {number} Percent between 0 and 1.
+   */
+  _calculatePercentCover(target, cfg) {
+    // Get the calculator after initializing, as the auto algorithm selects it for the target.
+    const losViewer = this.losViewer;
     losViewer.initializeView({ target });
+    const losCalc = this.losCalc;
 
     // Because we will not be using losCalc.calculate directly, must manually reset the config.
     if ( cfg ) losCalc.config = cfg;
@@ -155,18 +279,239 @@ export class CoverCalculator {
     // TODO: Is a simple visibility test still workable here?
 
     // Because of partially blocking tokens, cannot simply calculate for all viewpoints.
+    const isMin = losViewer.config.viewpointAggregation === ViewerLOS.AGGREGATION_TYPES.MIN;
     let percent = 1;
+    const values = [];
     for ( const vp of losViewer.viewpoints ) {
       losViewer.initializeView({ viewpoint: vp.viewpoint });
       const percentFromViewpoint = this._percentCover();
-      if ( percentFromViewpoint < percent ) {
+      values.push(percentFromViewpoint);
+      if ( isMin && percentFromViewpoint < percent ) {
         percent = percentFromViewpoint;
         if ( percent < 0 || percent.almostEqual(0) ) break;
       }
     }
+    return isMin ? percent : losViewer.aggregatePercentCover(values);
+  }
+
+  /**
+   * @typedef {object} CoverByType
+   * @prop {number} total     Percent cover from all obstacles
+   * @prop {number} hard      Percent cover from obstacles not flagged as soft cover
+   * @prop {number} soft      Additional percent cover provided only by soft cover obstacles
+   */
+
+  /**
+   * Calculate the hard and soft percentage cover separately.
+   * Hard cover is measured by ignoring soft cover obstacles; soft cover is what they add to it.
+   * @param {Token} target                      Target
+   * @param {CalculatorConfig} [cfg]            Options passed to the los calculator
+   * @returns {CoverByType}
+   */
+  percentCoverByType(target, cfg = {}, { melee = false } = {}) {
+    // Total last, so the calculator is left including soft obstacles.
+    const fn = melee ? "meleeCover" : "percentCover";
+    const hard = this[fn](target, { ...cfg, softObstacles: false });
+    const total = this[fn](target, { ...cfg, softObstacles: true });
+    return { total, hard, soft: Math.max(total - hard, 0) };
+  }
+
+  // ----- NOTE: Web worker ----- //
+
+  /**
+   * Percent cover calculated in advance by percentCoverAsync, keyed by viewer and target poses and config.
+   * Used by percentCover until cleared.
+   * @type {Map<string, number>}
+   */
+  _workerResults = new Map();
+
+  /**
+   * Percent cover already calculated in the current pass, keyed as the worker results.
+   * Set by callers that test many configs for the same pairs, such as CoverMatrix; otherwise undefined.
+   * @type {Map<string, number>|undefined}
+   */
+  _percentMemo;
+
+  /**
+   * Key for a stored worker result.
+   * Includes the poses, so a result is not used for a viewer or target that moved while it was calculated.
+   * @param {Viewer} viewer
+   * @param {Token} target
+   * @param {CalculatorConfig} [cfg]
+   * @returns {string}
+   */
+  static workerResultKey(viewer, target, cfg) {
+    return `${poseKey(viewer)}|${poseKey(target)}|${JSON.stringify(cfg ?? null)}`;
+  }
+
+  /**
+   * Calculate the percentage cover using the web workers, if enabled and supported by the calculator.
+   * Partially blocking tokens and tiles reduce the visibility of each ray through them by their opacity.
+   * The result is stored for use by percentCover with the same target and config.
+   * @param {Token} target                      Target
+   * @param {CalculatorConfig} [cfg]            Options passed to the los calculator
+   * @returns {Promise<number>} Percent between 0 and 1.
+   */
+  async percentCoverAsync(target, cfg) {
+    const pool = LOSWorkerPool.instance;
+    const losViewer = this.losViewer;
+
+    // Build every request and the result key before awaiting, as the view or the poses may change meanwhile.
+    // Get the calculator after initializing, as the auto algorithm selects it for the target.
+    const workerKey = this.constructor.workerResultKey(this.viewer, target, cfg);
+    losViewer.initializeView({ target });
+    const losCalc = this.losCalc;
+    if ( !pool || !losCalc.constructor.workerCapable ) return this.percentCover(target, cfg);
+    if ( cfg ) losCalc.config = cfg;
+    const requests = losViewer.viewpoints.map(vp => {
+      losViewer.initializeView({ viewpoint: vp.viewpoint });
+      return pool.request(this._workerRequest());
+    });
+
+    let values;
+    try {
+      values = (await Promise.all(requests)).map(percentVisible => 1 - percentVisible);
+    } catch ( err ) {
+      console.warn(`${MODULE_ID}|percentCoverAsync|falling back to the main thread`, err);
+      return this.percentCover(target, cfg);
+    }
+    const percent = losViewer.aggregatePercentCover(values);
+    this._workerResults.set(workerKey, percent);
+    return percent;
+  }
+
+  /**
+   * Describe the calculation for the current viewpoint for the web workers.
+   * Obstacles are chosen here, as in _percentCover, so the workers need only test them.
+   * @returns {LOSWorkerRequest}
+   */
+  _workerRequest() {
+    const losCalc = this.losCalc;
+    const { viewpoint, senseType } = losCalc;
+    const obstacles = losCalc.occlusionTester.obstacles;
+    const ids = objs => [...objs].map(obj => obj.id);
+
+    // Proximity walls block unless their threshold applies from this viewpoint.
+    const thresholdWalls = [...obstacles.proximateWalls, ...obstacles.reverseProximateWalls]
+      .filter(w => !w.edge.applyThreshold(senseType, viewpoint));
+
+    // The workers apply each tile's alpha threshold, so only the tile cover opacity is needed.
+    const opacity = {};
+    for ( const token of obstacles.tokens ) {
+      const maxCover = obstacleMaxCover(token);
+      if ( maxCover < 1 ) opacity[token.id] = maxCover;
+    }
+    for ( const tile of obstacles.tiles ) {
+      const maxCover = tileCoverOpacity(tile);
+      if ( maxCover < 1 ) opacity[tile.id] = maxCover;
+    }
+
+    const coverVolumes = losCalc.findCoverVolumes()
+      .map(({ region, bottomZ, topZ, strength }) => ({ id: region.id, bottomZ, topZ, strength }));
+
+    return {
+      viewpoint: [viewpoint.x, viewpoint.y, viewpoint.z],
+      surfaces: losCalc.workerTargetPoints().map(pts => pts.flatMap(pt => [pt.x, pt.y, pt.z])),
+      radius2: losCalc.radius ** 2,
+      combine: losCalc.constructor.workerCombine,
+      obstacles: {
+        walls: [...ids(obstacles.walls), ...ids(thresholdWalls)],
+        terrainWalls: ids(obstacles.terrainWalls),
+        tiles: ids(obstacles.tiles),
+        tokens: ids(obstacles.tokens),
+        regions: ids(obstacles.regions),
+      },
+      opacity,
+      coverVolumes,
+    };
+  }
+
+  // ----- NOTE: Melee Cover ----- //
+
+  /**
+   * Attack action types that use melee cover.
+   * @type {Set<string>}
+   */
+  static MELEE_ACTION_TYPES = new Set(["mwak", "msak"]);
+
+  /**
+   * Percent cover returned by the melee cover test.
+   * @type {enum<number>}
+   */
+  static get MELEE_COVER() { return PercentVisibleCalculatorGridCorners.GRID_COVER; }
+
+  /**
+   * Calculate cover using the grid corner-to-corner test, as in the dnd5e DMG.
+   * For each corner of the attacker's space, trace lines to each corner of a space the target occupies.
+   * See PercentVisibleCalculatorGridCorners.coverForBlockedLines for how blocked lines become cover.
+   * The attacker uses the corner and target space that give the least cover.
+   * Tokens and tiles that grant no cover do not block lines. Those that grant partial cover
+   * scale the cover they provide, as in _percentCover.
+   * @param {Token} target                      Target
+   * @param {CalculatorConfig} [cfg]            Options passed to the los calculator
+   * @returns {number} One of CoverCalculator.MELEE_COVER, or between them if partially blocking obstacles
+   */
+  meleeCover(target, cfg) {
+    // Get the calculator after initializing, as the auto algorithm selects it for the target.
+    const losViewer = this.losViewer;
+    losViewer.initializeView({ target });
+    const losCalc = this.losCalc;
+    if ( cfg ) losCalc.config = cfg;
+
+    const targetSpaces = spacesUnderToken(target);
+    const targetZ = Point3d.fromTokenCenter(target).z;
+    const attackerCorners = this.viewer instanceof foundry.canvas.placeables.Token
+      ? tokenGridCorners(this.viewer, Point3d.fromTokenCenter(this.viewer).z)
+      : [viewerLocation(this.viewer)]; // Other viewers have no grid spaces.
+    const targetCorners = targetSpaces.map(space => gridSpaceCorners(space, targetZ));
+    const targetCenters = targetSpaces.map(space => {
+      const center = space.getBounds().center;
+      return new Point3d(center.x, center.y, targetZ);
+    });
+
+    let percent = this.constructor.MELEE_COVER.FULL;
+    for ( const corner of attackerCorners ) {
+      losViewer.initializeView({ viewpoint: corner });
+      const partialBlockingObstacles = this._removeNonBlockingObstacles();
+
+      // Least cover from this corner to any of the target spaces.
+      const calculate = () => {
+        let cornerCover = this.constructor.MELEE_COVER.FULL;
+        for ( let i = 0, n = targetSpaces.length; i < n; i += 1 ) {
+          const corners = targetCorners[i];
+          const nBlocked = corners.filter(pt => this._lineIsBlocked(corner, pt)).length;
+          const centerBlocked = nBlocked === corners.length && this._lineIsBlocked(corner, targetCenters[i]);
+          const spaceCover = PercentVisibleCalculatorGridCorners.coverForBlockedLines(nBlocked, corners.length, centerBlocked);
+          cornerCover = Math.min(cornerCover, spaceCover);
+          if ( !cornerCover ) break;
+        }
+        return cornerCover;
+      };
+      let cornerCover = calculate();
+      if ( cornerCover && partialBlockingObstacles.length ) {
+        cornerCover = this._calculatePartiallyBlockingCover(partialBlockingObstacles, cornerCover, calculate);
+      }
+      percent = Math.min(percent, cornerCover);
+      if ( !percent ) return percent;
+    }
     return percent;
   }
 
+  /**
+   * Test whether a line between two points is blocked by an obstacle, for the current viewpoint.
+   * Cover volumes block the line if together they block more than half of it.
+   * @param {Point3d} a
+   * @param {Point3d} b
+   * @returns {boolean}
+   */
+  _lineIsBlocked(a, b) {
+    const direction = b.subtract(a);
+    const losCalc = this.losCalc;
+    if ( losCalc.occlusionTester.rayIsOccluded(a, direction) ) return true;
+    const volumes = losCalc.findCoverVolumes();
+    return volumes.length > 0 && coverVolumeTransmittance(volumes, a, direction) < 0.5;
+  }
+
   /**
    * Calculate the percentage cover for the current set viewer point.
    * @param {object} [PercentCoverOptions]                     Options to manipulate the LOS calculation
@@ -174,25 +519,39 @@ export class CoverCalculator {
    */
   _percentCover() {
     const losCalc = this.losCalc;
-    const tokenObstacles = losCalc.occlusionTester.obstacles.tokens;
+    const partialBlockingObstacles = this._removeNonBlockingObstacles();
+
+    // Basic approach: simply calculate cover based on visibility of the target from the viewer point.
+    const resultBasic = losCalc._calculate();
+    let coverPercent = 1 - resultBasic.percentVisible;
+
+    // Handle partially blocking obstacles separately.
+    if ( partialBlockingObstacles.length ) coverPercent = this._calculatePartiallyBlockingCover(partialBlockingObstacles, coverPercent);
+    return coverPercent;
+  }
 
-    // Instead of copying and restoring blocking objects, just change them and clear cache after.
-    let partialBlockingTokens = [];
+  /**
+   * Remove tokens and tiles that grant no cover from the obstacles for the current viewpoint.
+   * Instead of copying and restoring blocking objects, just change them; the next view initialization resets them.
+   * @returns {Token[]|Tile[]} Tokens and tiles that grant partial cover, to be handled separately
+   */
+  _removeNonBlockingObstacles() {
+    const losCalc = this.losCalc;
+    const { tokens: tokenObstacles, tiles: tileObstacles } = losCalc.occlusionTester.obstacles;
+    const partialBlockingObstacles = [];
     if ( losCalc.tokensBlock ) {
       // Remove tokens flagged as not blocking.
       // Process tokens that have been flagged as partially blocking.
       const res = this._partiallyBlockingTokens();
-      partialBlockingTokens = res.partialBlockingTokens;
+      partialBlockingObstacles.push(...res.partialBlockingTokens);
       res.nonBlockingTokens.forEach(t => tokenObstacles.delete(t));
     }
 
-    // Basic approach: simply calculate cover based on visibility of the target from the viewer point.
-    const resultBasic = losCalc._calculate();
-    const coverPercent = 1 - resultBasic.percentVisible;
-
-    // Handle partially blocking tokens separately.
-    if ( partialBlockingTokens.length ) return this._calculatePartiallyBlockingCover(partialBlockingTokens, coverPercent);
-    return coverPercent;
+    // Tiles with a cover opacity less than 1 are treated like partially blocking tokens.
+    const resTiles = this._partiallyBlockingTiles();
+    partialBlockingObstacles.push(...resTiles.partialBlockingTiles);
+    resTiles.nonBlockingTiles.forEach(t => tileObstacles.delete(t));
+    return partialBlockingObstacles;
   }
 
   /**
@@ -205,10 +564,8 @@ export class CoverCalculator {
     const obstacles = this.losCalc.occlusionTester.obstacles;
     const partialBlockingTokens = [];
     const nonBlockingTokens = [];
-    const statusesGrantNoCover = CONFIG[MODULE_ID].statusesGrantNoCover;
     for ( const token of obstacles.tokens ) {
-      let maxCover = Number(token.document.getFlag(MODULE_ID, FLAGS.COVER.MAX_GRANT) ?? 1);
-      if ( token.actor && token.actor.statuses.intersects(statusesGrantNoCover).size ) maxCover = 0;
+      const maxCover = obstacleMaxCover(token);
       if ( maxCover >= 1 ) continue;
       if ( !maxCover ) nonBlockingTokens.push(token);
       else partialBlockingTokens.push(token);
@@ -217,13 +574,36 @@ export class CoverCalculator {
   }
 
   /**
-   * Run the percent cover calculation for partially blocking tokens.
-   * Tokens provided but not checked for partial blocking.
-   * @param {Set<Token>|Token[]} patiallyBlockingTokens
+   * Locate all partially and non-blocking tiles, based on each tile's cover opacity.
+   * @returns {object}
+   *   - @prop{Tile[]} partialBlockingTiles    Any tiles that grant only partial cover
+   *   - @prop{Tile[]} nonBlockingTiles        Any tiles that do not grant cover
+   */
+  _partiallyBlockingTiles() {
+    const obstacles = this.losCalc.occlusionTester.obstacles;
+    const partialBlockingTiles = [];
+    const nonBlockingTiles = [];
+    for ( const tile of obstacles.tiles ) {
+      const maxCover = obstacleMaxCover(tile);
+      if ( maxCover >= 1 ) continue;
+      if ( !maxCover ) nonBlockingTiles.push(tile);
+      else partialBlockingTiles.push(tile);
+    }
+    return { partialBlockingTiles, nonBlockingTiles };
+  }
+
+  /**
+   * Run the percent cover calculation for partially blocking tokens and tiles.
+   * Obstacles provided but not checked for partial blocking.
+   * @param {Token[]|Tile[]} partialBlockingObstacles
+   * @param {number} totalPercent     Percent cover with all obstacles present
+   * @param {function} [calculate]    Percent cover with the current obstacles; defaults to the los calculator
    */
-  _calculatePartiallyBlockingCover(partialBlockingTokens, totalPercent) {
+  _calculatePartiallyBlockingCover(partialBlockingObstacles, totalPercent,
+    calculate = () => 1 - this.losCalc._calculate().percentVisible) {
     const losCalc = this.losCalc;
-    const blockingTokens = losCalc.occlusionTester.obstacles.tokens;
+    const obstacles = losCalc.occlusionTester.obstacles;
+    const obstacleSet = obj => obj instanceof foundry.canvas.placeables.Tile ? obstacles.tiles : obstacles.tokens;
 
     // TODO: Use the result directly.
     // Test each token in turn. Combine with all other obstacles to get total cover.
@@ -244,29 +624,23 @@ export class CoverCalculator {
     Could fall back on numerical approach used here.
     */
 
-    // Without partially blocking tokens.
-    partialBlockingTokens.forEach(t => blockingTokens.delete(t));
-    const resultNoTokens = losCalc._calculate();
-    const percentNoTokens = 1 - resultNoTokens.percentVisible;
+    // Without partially blocking obstacles.
+    partialBlockingObstacles.forEach(t => obstacleSet(t).delete(t));
+    const percentNoTokens = calculate();
 
-    // Add back the tokens.
-    partialBlockingTokens.forEach(t => blockingTokens.add(t));
+    // Add back the obstacles.
+    partialBlockingObstacles.forEach(t => obstacleSet(t).add(t));
 
-    // Remove each token in turn.
+    // Remove each obstacle in turn.
     let tPercentage = [];
     const tMaxCover = [];
-    // Avoid infinite loop here by using a copy of the blocking token set.
-    const statusesGrantNoCover = CONFIG[MODULE_ID].statusesGrantNoCover;
-    partialBlockingTokens.forEach(t => {
-      let maxCover = Number(t.document.getFlag(MODULE_ID, FLAGS.COVER.MAX_GRANT) ?? 1);
-      if ( t.actor && t.actor.statuses.intersects(statusesGrantNoCover).size ) maxCover = 0;
-      tMaxCover.push(maxCover);
-      blockingTokens.delete(t);
-      const resultMinusOneToken = losCalc._calculate();
-
-      const percentMinusOneToken = 1 - resultMinusOneToken.percentVisible;
+    partialBlockingObstacles.forEach(t => {
+      tMaxCover.push(obstacleMaxCover(t));
+      const blockingSet = obstacleSet(t);
+      blockingSet.delete(t);
+      const percentMinusOneToken = calculate();
       tPercentage.push(totalPercent - percentMinusOneToken);
-      blockingTokens.add(t);
+      blockingSet.add(t);
     });
 
     // Prorate each token's percentage contribution to the total token contribution to
@@ -282,6 +656,102 @@ export class CoverCalculator {
     return Math.clamp(newPercent, 0, 1);
   }
 
+  // ----- NOTE: Cover attribution ----- //
+
+  /**
+   * @typedef {object} CoverAttribution
+   * @prop {string} type              Obstacle key from the occlusion tester: walls, terrainWalls, tiles, etc.
+   * @prop {string} documentName      Wall|Tile|Region|Token
+   * @prop {string} id                Id of the placeable
+   * @prop {string} name              Display name for the obstacle
+   * @prop {boolean} soft               Obstacle is flagged as soft cover
+   * @prop {number} marginal          Cover lost if only this obstacle were removed, between 0 and 1
+   * @prop {number} percent           Share of the total cover attributed to this obstacle, between 0 and 1
+   */
+
+  /**
+   * @typedef {object} CoverAttributionResult
+   * @prop {number} percentCover                    Total percent cover, as in percentCover
+   * @prop {Point3d} viewpoint                      Viewpoint used for the attribution
+   * @prop {CoverAttribution[]} obstacles           Obstacles that contribute cover, sorted by percent
+   * @prop {number} overlap                         Cover that could not be attributed to any one obstacle
+   */
+
+  /**
+   * Break down the percent cover by the obstacles that provide it.
+   * Uses the viewpoint whose cover is closest to the aggregated cover from percentCover.
+   * With the default aggregation, this is the viewpoint that gives the least cover.
+   * @param {Token} target                      Target
+   * @param {CalculatorConfig} [cfg]            Options passed to the los calculator
+   * @returns {CoverAttributionResult}
+   */
+  coverAttribution(target, cfg) {
+    // Get the calculator after initializing, as the auto algorithm selects it for the target.
+    const losViewer = this.losViewer;
+    losViewer.initializeView({ target });
+    const losCalc = this.losCalc;
+    if ( cfg ) losCalc.config = cfg;
+
+    // Locate the viewpoint with cover closest to the aggregate.
+    const values = [];
+    const viewpoints = [];
+    for ( const vp of losViewer.viewpoints ) {
+      losViewer.initializeView({ viewpoint: vp.viewpoint });
+      values.push(this._percentCover());
+      viewpoints.push(vp.viewpoint);
+    }
+    const aggregate = losViewer.aggregatePercentCover(values);
+    let percent = 1;
+    let viewpoint;
+    values.forEach((value, i) => {
+      if ( viewpoint && Math.abs(value - aggregate) >= Math.abs(percent - aggregate) ) return;
+      percent = value;
+      viewpoint = viewpoints[i];
+    });
+    const res = { percentCover: Math.max(percent, 0), viewpoint, obstacles: [], overlap: 0 };
+    if ( !viewpoint || res.percentCover.almostEqual(0) ) return res;
+
+    // Reset the obstacles for the chosen viewpoint.
+    losViewer.initializeView({ viewpoint });
+    res.percentCover = Math.max(this._percentCover(), 0);
+    res.obstacles = this._coverAttribution(res.percentCover);
+    res.overlap = Math.max(res.percentCover - res.obstacles.reduce((acc, curr) => acc + curr.percent, 0), 0);
+    return res;
+  }
+
+  /**
+   * Remove each obstacle in turn and measure the cover lost.
+   * Extends the remove-one-token approach of _calculatePartiallyBlockingCover to all obstacle types.
+   * An obstacle's share is the cover that only it provides. Area hidden by more than one obstacle
+   * is left to the caller to report as overlap. Shares are scaled down if they would exceed the total,
+   * which can happen with terrain walls or partially blocking tokens.
+   * Assumes the view is already initialized and _percentCover has been run for the viewpoint.
+   * @param {number} totalPercent     Percent cover with all obstacles present
+   * @returns {CoverAttribution[]}
+   */
+  _coverAttribution(totalPercent) {
+    const obstacles = this.losCalc.occlusionTester.obstacles;
+    const attributions = [];
+    for ( const [type, obstacleSet] of Object.entries(obstacles) ) {
+      // Copy the set so it can be modified while iterating.
+      for ( const obstacle of [...obstacleSet] ) {
+        obstacleSet.delete(obstacle);
+        const percentMinusOne = Math.max(this._percentCover(), 0);
+        obstacleSet.add(obstacle);
+        const marginal = Math.max(totalPercent - percentMinusOne, 0);
+        if ( marginal.almostEqual(0) ) continue;
+        attributions.push({ ...obstacleLabel(obstacle), type, marginal, percent: 0 });
+      }
+    }
+
+    // Prorate so the shares sum to at most the total cover.
+    const denom = attributions.reduce((acc, curr) => acc + curr.marginal, 0);
+    const scale = denom > totalPercent ? totalPercent / denom : 1;
+    attributions.forEach(a => a.percent = a.marginal * scale);
+    attributions.sort((a, b) => b.percent - a.percent);
+    return attributions;
+  }
+
 
   /*
     Example: token provides 75% cover.
@@ -336,6 +806,77 @@ export class CoverCalculator {
     New formula: .40 + .10 * (1 * .5 + 0 * .75) = .45
     */
 
+  // ----- NOTE: Concealment ----- //
+
+  /**
+   * @typedef {object} ConcealmentResult
+   * Each concealment value is the fraction, between 0 and 1, of the visible target points so concealed.
+   * @prop {number} percentVisible    Fraction of the target points visible from the viewpoint
+   * @prop {number} dim               In dim light, darkness, or a heavily obscured region
+   * @prop {number} dark              In darkness or a heavily obscured region
+   * @prop {number} obscured          In a heavily obscured region
+   * @prop {Point3d} viewpoint        Viewpoint used for the result
+   */
+
+  /**
+   * Measure how much of the visible portion of the target is concealed.
+   * Tests the same target points as the points algorithm, regardless of the chosen algorithm.
+   * Uses the viewpoint that sees the most target points.
+   * A point is in dim light if within the target's lit border, and in bright light if within its bright-lit border.
+   * @param {Token} target                      Target
+   * @param {CalculatorConfig} [cfg]            Options passed to the los calculator
+   * @returns {ConcealmentResult}
+   */
+  concealment(target, cfg) {
+    // Get the calculator after initializing, as the auto algorithm selects it for the target.
+    const losViewer = this.losViewer;
+    losViewer.initializeView({ target });
+    const losCalc = this.losCalc;
+    if ( cfg ) losCalc.config = cfg;
+    const { targetPointIndex, targetInset } = losCalc.config;
+    const obscuredRegions = canvas.regions.placeables.filter(region => isHeavilyObscured(region));
+    const { litTokenBorder, brightLitTokenBorder } = target;
+    let best = { percentVisible: 0, dim: 0, dark: 0, obscured: 0, viewpoint: null };
+    for ( const vp of losViewer.viewpoints ) {
+      const viewpoint = vp.viewpoint;
+      losViewer.initializeView({ viewpoint });
+      const targetPoints = ViewerLOS.constructTokenPoints(target, {
+        pointKey: targetPointIndex,
+        inset: targetInset,
+        viewpoint,
+      });
+      if ( !targetPoints.length ) continue;
+      let nVisible = 0;
+      let nDim = 0;
+      let nDark = 0;
+      let nObscured = 0;
+      for ( const pt of targetPoints ) {
+        if ( this._lineIsBlocked(viewpoint, pt) ) continue;
+        nVisible += 1;
+        const elevation = CONFIG.GeometryLib.utils.pixelsToGridUnits(pt.z);
+        if ( obscuredRegions.some(region => region.testPoint(pt, elevation)) ) {
+          nObscured += 1;
+          nDark += 1;
+          nDim += 1;
+          continue;
+        }
+        if ( !litTokenBorder?.contains(pt.x, pt.y) ) nDark += 1;
+        if ( !brightLitTokenBorder?.contains(pt.x, pt.y) ) nDim += 1;
+      }
+      const percentVisible = nVisible / targetPoints.length;
+      if ( percentVisible <= best.percentVisible ) continue;
+      best = {
+        percentVisible,
+        dim: nDim / nVisible,
+        dark: nDark / nVisible,
+        obscured: nObscured / nVisible,
+        viewpoint,
+      };
+      if ( percentVisible >= 1 ) break;
+    }
+    return best;
+  }
+
   // ----- NOTE: Token cover application ----- //
   /**
    * Get a description for an attack type
@@ -346,6 +887,34 @@ export class CoverCalculator {
 
 }
 
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Maximum cover an obstacle can grant.
+ * For tokens, uses the maximum cover flag and statuses that grant no cover.
+ * For tiles, uses the tile's cover opacity.
+ * @param {Token|Tile} obstacle
+ * @returns {number} Between 0 and 1
+ */
+function obstacleMaxCover(obstacle) {
+  if ( obstacle instanceof foundry.canvas.placeables.Tile ) return tileCoverOpacity(obstacle);
+  if ( obstacle.actor && obstacle.actor.statuses.intersects(CONFIG[MODULE_ID].statusesGrantNoCover).size ) return 0;
+  return Number(obstacle.document.getFlag(MODULE_ID, FLAGS.COVER.MAX_GRANT) ?? 1);
+}
+
+/**
+ * Describe an obstacle placeable for the cover attribution.
+ * @param {Wall|Tile|Region|Token} obstacle
+ * @returns {object} With documentName, id, name, and soft properties
+ */
+function obstacleLabel(obstacle) {
+  const documentName = obstacle.document?.documentName ?? obstacle.constructor.name;
+  const id = obstacle.document?.id ?? obstacle.id;
+  const typeName = game.i18n.localize(`DOCUMENT.${documentName}`);
+  const name = obstacle.document?.name || obstacle.name || `${typeName} ${id}`;
+  return { documentName, id, name, soft: isSoftObstacle(obstacle) };
+}
+
 // ----- NOTE: Calculator configuration ----- //
 
 /**
@@ -367,13 +936,14 @@ function TokenBlockingConfig() {
 /**
  * @returns {CalculatorConfig|PointsCalculatorConfig}  See PercentVisibleCalculator.js and PointsCalculator.js
  */
-function CalculatorConfig() {
+export function CalculatorConfig() {
   return {
     senseType: "sight",
     tokens: TokenBlockingConfig(),
     walls: true,
     tiles: true,
     regions: true,
+    softObstacles: true,
 
     largeTarget: Settings.get(Settings.KEYS.LOS.TARGET.LARGE) ?? false,
     debug: false,
@@ -393,24 +963,55 @@ function LOSViewerConfig() {
   return {
     viewpointIndex: pointIndexForSet(Settings.get(Settings.KEYS.LOS.VIEWER.POINTS)),
     viewpointInset: Settings.get(Settings.KEYS.LOS.VIEWER.INSET),
+    viewpointAggregation: Settings.get(Settings.KEYS.LOS.VIEWER.AGGREGATION),
+    viewpointBestN: Settings.get(Settings.KEYS.LOS.VIEWER.BEST_N),
     angle: true,
   };
 }
 
+/**
+ * Initialization of each shared LOS calculator, keyed by calculator name.
+ * @type {Map<string, Promise>}
+ */
+const CALCULATOR_INITIALIZATIONS = new Map();
+
 /**
  * Build an LOS calculator that uses the current settings.
+ * For the auto algorithm, this is the calculator used until the selector chooses one for a target.
+ * @param {string} [calcName]     Calculator, as in ViewerLOS.VIEWPOINT_ALGORITHM_SETTINGS; defaults to the setting
  * @returns {PercentVisibleCalculatorAbstract}
  */
-export function buildLOSCalculator() {
-  const calcName = ViewerLOS.VIEWPOINT_ALGORITHM_SETTINGS[Settings.get(Settings.KEYS.LOS.TARGET.ALGORITHM)];
+export function buildLOSCalculator(calcName) {
+  calcName ??= ViewerLOS.VIEWPOINT_ALGORITHM_SETTINGS[Settings.get(Settings.KEYS.LOS.TARGET.ALGORITHM)];
+  if ( calcName === "auto" ) return AlgorithmSelector.instance.centerCalculator;
   const calcs = CONFIG[MODULE_ID].losCalculators;
   if ( !calcs[calcName] ) {
     calcs[calcName] ??= new CONFIG[MODULE_ID].calculatorClasses[calcName](CalculatorConfig());
-    calcs[calcName].initialize(); // Async.
+    CALCULATOR_INITIALIZATIONS.set(calcName, calcs[calcName].initialize()); // Async.
   }
   return calcs[calcName];
 }
 
+/**
+ * Build an LOS calculator that uses the current settings and wait for it to finish initializing.
+ * @param {string} calcName       Calculator, as in ViewerLOS.VIEWPOINT_ALGORITHM_SETTINGS
+ * @returns {Promise<PercentVisibleCalculatorAbstract>}
+ */
+export async function buildInitializedLOSCalculator(calcName) {
+  const calc = buildLOSCalculator(calcName);
+  await CALCULATOR_INITIALIZATIONS.get(calcName);
+  return calc;
+}
+
+/**
+ * Selector for the viewer LOS, if the algorithm setting is auto.
+ * @returns {AlgorithmSelector|undefined}
+ */
+export function currentCalculatorSelector() {
+  const { TARGET } = Settings.KEYS.LOS;
+  return Settings.get(TARGET.ALGORITHM) === TARGET.TYPES.AUTO ? AlgorithmSelector.instance : undefined;
+}
+
 /**
  * Build an LOS viewer for this viewer that uses the current settings.
  * @param {Token} viewer
@@ -419,6 +1020,7 @@ export function buildLOSCalculator() {
 export function buildLOSViewer(viewer) {
   const calculator = buildLOSCalculator();
   const viewerLOS = new ViewerLOS(viewer, calculator, LOSViewerConfig());
+  viewerLOS.calculatorSelector = currentCalculatorSelector();
   return viewerLOS;
 }
 
@@ -436,6 +1038,7 @@ export function currentDebugViewerClass(type) {
   const { TARGET } = KEYS.LOS;
   const debugViewers = CONFIG[MODULE_ID].debugViewerClasses;
   type ??= Settings.get(TARGET.ALGORITHM) ?? TARGET.TYPES.POINTS;
+  if ( type === TARGET.TYPES.AUTO ) type = TARGET.TYPES.POINTS; // Debug the center calculator.
   const calcName = ViewerLOS.VIEWPOINT_ALGORITHM_SETTINGS[type];
   return debugViewers[calcName];
 }
@@ -0,0 +1,89 @@
+/* globals
+CONFIG,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS, LABELS } from "./const.js";
+
+/* Combining cover effects
+
+Cover effects without a group are combined as before: tested in priority order, with the first
+applicable effect that cannot overlap blocking the rest.
+
+Cover effects in a group are combined by the policy of the group's highest-priority effect:
+- highest: only the highest-priority applicable effect of the group applies.
+- stack: applicable effects of the group all apply, from highest priority, up to the maximum number of effects.
+- exclusive: as highest, but if the group applies, no effect outside it does.
+  If several exclusive groups apply, the one with the highest-priority effect wins.
+
+Groups do not block effects outside them, other than exclusive groups.
+Cover and concealment effects are combined separately.
+
+Finally, any effect suppressed by another effect that applies is removed.
+Effects that suppress each other cancel out.
+*/
+
+/**
+ * Cover effects by group, each from highest to lowest priority.
+ * @param {Iterable<CoverEffect>} coverEffects
+ * @returns {Map<string, CoverEffect[]>}
+ */
+export function coverGroups(coverEffects) {
+  const groups = new Map();
+  for ( const coverEffect of coverEffects ) {
+    const group = coverEffect.group;
+    if ( !group ) continue;
+    if ( !groups.has(group) ) groups.set(group, []);
+    groups.get(group).push(coverEffect);
+  }
+  groups.forEach(members => members.sort((a, b) => b.priority - a.priority));
+  return groups;
+}
+
+/**
+ * Applicable effects of a group, by the group's policy.
+ * @param {CoverEffect[]} members             Effects of the group, from highest to lowest priority
+ * @param {function} couldApply               Tests whether a cover effect could apply
+ * @returns {CoverEffect[]}
+ */
+export function groupCover(members, couldApply) {
+  const { groupPolicy, maxEffects } = members[0];
+  const limit = groupPolicy === FLAGS.COVER_EFFECT.GROUP_POLICIES.STACK
+    ? (maxEffects || Number.POSITIVE_INFINITY) : 1;
+  const applied = [];
+  for ( const coverEffect of members ) {
+    if ( applied.length >= limit ) break;
+    if ( couldApply(coverEffect) ) applied.push(coverEffect);
+  }
+  return applied;
+}
+
+/**
+ * Remove effects suppressed by other effects in the set.
+ * @param {Set<CoverEffect>} coverEffects
+ * @returns {Set<CoverEffect>} The same set, modified in place
+ */
+export function removeSuppressed(coverEffects) {
+  const suppressed = new Set();
+  coverEffects.forEach(coverEffect => coverEffect.suppresses.forEach(id => suppressed.add(id)));
+  if ( !suppressed.size ) return coverEffects;
+  for ( const coverEffect of [...coverEffects] ) {
+    if ( suppressed.has(coverEffect.uniqueEffectId) ) coverEffects.delete(coverEffect);
+  }
+  return coverEffects;
+}
+
+/**
+ * Context for the combination options in the cover rules template.
+ * @param {Document|object} doc     The cover effect document being configured, which cannot suppress itself
+ * @returns {object}
+ */
+export function coverCombinationContext(doc) {
+  const suppressChoices = {};
+  CONFIG[MODULE_ID].CoverEffect._instances.forEach(ce => {
+    if ( ce.document === doc ) return;
+    suppressChoices[ce.uniqueEffectId] = ce.name;
+  });
+  return { groupPolicyChoices: LABELS.COVER_EFFECT.GROUP_POLICY, suppressChoices };
+}
@@ -0,0 +1,225 @@
+/* globals
+canvas,
+CONFIG,
+foundry,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { WEAPON_ATTACK_TYPES } from "./const.js";
+import { NULL_SET, viewerLocation } from "./LOS/util.js";
+
+/**
+ * @typedef {object} CoverActorConditions
+ * Conditions on the attacker or the target. Empty lists do not restrict the cover effect.
+ * Lists may also be comma-separated strings, as entered where the system does not define the choices.
+ * @prop {string[]} [sizes]               Size categories, such as "med", one of which the actor must have
+ * @prop {string[]} [types]               Creature types, such as "undead", one of which the actor must have
+ * @prop {string[]} [statuses]            Status ids, at least one of which the actor must have
+ * @prop {string[]} [excludedStatuses]    Status ids, none of which the actor may have
+ * @prop {string[]} [excludedSenses]      Detection mode ids, such as "feelTremor", none of which the token
+ *                                        may have within range of the other token
+ */
+
+/**
+ * @typedef {object} CoverConditions
+ * Conditions, in addition to the percent threshold, under which a cover effect applies.
+ * @prop {string[]} [attackTypes]         "mwak"|"rwak"|"msak"|"rsak". If the attack type is known, it must be one of these
+ * @prop {number|null} [minDistance]      Applies only at or beyond this distance, in grid units
+ * @prop {number|null} [maxDistance]      Applies only at or within this distance, in grid units
+ * @prop {CoverActorConditions} [attacker]
+ * @prop {CoverActorConditions} [target]
+ */
+
+/** @type {string[]} */
+const ATTACK_TYPES = ["mwak", "rwak", "msak", "rsak"];
+
+/**
+ * Test whether the conditions of a cover effect are met for an attacker and target.
+ * When the attack type is not known, such as when displaying cover as tokens move, it does not restrict.
+ * Attackers without an actor, such as lights and templates, do not meet size, type, or status requirements.
+ * @param {CoverConditions} [conditions]
+ * @param {Viewer} attacker
+ * @param {Token} target
+ * @param {object} [opts]
+ * @param {string} [opts.actionType]      Attack action type
+ * @returns {boolean}
+ */
+export function coverConditionsMet(conditions, attacker, target, opts = {}) {
+  if ( !hasCoverConditions(conditions) ) return true;
+  const { minDistance, maxDistance } = conditions;
+  const attackTypes = conditionList(conditions.attackTypes);
+  const actionType = opts.actionType;
+  if ( attackTypes.length && ATTACK_TYPES.includes(actionType) && !attackTypes.includes(actionType) ) return false;
+
+  let distance;
+  const getDistance = () => (distance ??= attackDistance(attacker, target));
+  if ( isSet(minDistance) && getDistance() < Number(minDistance) ) return false;
+  if ( isSet(maxDistance) && getDistance() > Number(maxDistance) ) return false;
+  return actorConditionsMet(conditions.attacker, attacker, getDistance)
+    && actorConditionsMet(conditions.target, target, getDistance);
+}
+
+/**
+ * Do these conditions restrict the cover effect at all?
+ * @param {CoverConditions} [conditions]
+ * @returns {boolean}
+ */
+export function hasCoverConditions(conditions) {
+  if ( !conditions ) return false;
+  const { attackTypes, minDistance, maxDistance, attacker, target } = conditions;
+  return Boolean(conditionList(attackTypes).length)
+    || isSet(minDistance)
+    || isSet(maxDistance)
+    || [attacker, target].some(cond => cond && Object.values(cond).some(list => conditionList(list).length));
+}
+
+/**
+ * Key describing the actor properties that conditions test, for the cover cache.
+ * @param {Viewer} attacker
+ * @param {Token} target
+ * @returns {string}
+ */
+export function coverConditionsKey(attacker, target) {
+  return [attacker, target].map(obj => {
+    const actor = obj.actor;
+    const senses = (obj.document?.detectionModes ?? []).map(({ id, enabled, range }) => `${id}:${enabled}:${range}`);
+    if ( !actor ) return senses.join(",");
+    return `${actorSizeCategory(actor)};${[...actorCreatureTypes(actor)]};${[...actor.statuses]};${senses}`;
+  }).join("|");
+}
+
+/**
+ * Choices for the condition fields of the cover effect configuration.
+ * Sizes and creature types come from the system, if it defines them.
+ * @returns {object<string, object<string, string>>}
+ */
+export function coverConditionChoices() {
+  const systemConfig = CONFIG.DND5E ?? CONFIG.PF2E ?? {};
+  return {
+    attackTypes: Object.fromEntries(ATTACK_TYPES.map(type => [type, WEAPON_ATTACK_TYPES[type]])),
+    sizes: labelChoices(systemConfig.actorSizes),
+    types: labelChoices(systemConfig.creatureTypes ?? systemConfig.creatureTraits),
+    statuses: Object.fromEntries(CONFIG.statusEffects.map(status => [status.id, status.name])),
+    senses: labelChoices(CONFIG.Canvas.detectionModes),
+  };
+}
+
+/**
+ * Context for the conditions in the cover rules template.
+ * Without system choices, sizes and creature types are entered as comma-separated text.
+ * @returns {object}
+ */
+export function coverConditionsContext() {
+  const conditionChoices = coverConditionChoices();
+  const hasConditionChoices = Object.fromEntries(Object.entries(conditionChoices)
+    .map(([key, choices]) => [key, !foundry.utils.isEmpty(choices)]));
+  return { conditionChoices, hasConditionChoices };
+}
+
+/**
+ * Size category of an actor.
+ * dnd5e stores the size as a string; pf2e stores it as an object with a value property.
+ * @param {Actor} [actor]
+ * @returns {string|undefined}
+ */
+export function actorSizeCategory(actor) {
+  const size = actor?.system?.traits?.size;
+  return typeof size === "string" ? size : size?.value;
+}
+
+/**
+ * Creature types of an actor, in lower case.
+ * dnd5e stores the type and any custom type in details; pf2e includes the type among its traits.
+ * @param {Actor} [actor]
+ * @returns {Set<string>}
+ */
+export function actorCreatureTypes(actor) {
+  const system = actor?.system;
+  const detailsType = system?.details?.type;
+  const types = typeof detailsType === "string" ? [detailsType] : [detailsType?.value, detailsType?.custom];
+  if ( Array.isArray(system?.traits?.value) ) types.push(...system.traits.value);
+  return new Set(types.filter(type => typeof type === "string" && type).map(type => type.trim().toLowerCase()));
+}
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Test the conditions on the attacker or the target.
+ * @param {CoverActorConditions} [cond]
+ * @param {Viewer} obj
+ * @param {function} getDistance        Returns the distance between attacker and target, in grid units
+ * @returns {boolean}
+ */
+function actorConditionsMet(cond, obj, getDistance) {
+  if ( !cond ) return true;
+  const actor = obj.actor;
+  const sizes = conditionList(cond.sizes);
+  if ( sizes.length && !sizes.includes(actorSizeCategory(actor)) ) return false;
+  const types = conditionList(cond.types);
+  if ( types.length ) {
+    const actorTypes = actorCreatureTypes(actor);
+    if ( !types.some(type => actorTypes.has(type.toLowerCase())) ) return false;
+  }
+  const actorStatuses = actor?.statuses ?? NULL_SET;
+  const statuses = conditionList(cond.statuses);
+  if ( statuses.length && !statuses.some(status => actorStatuses.has(status)) ) return false;
+  if ( conditionList(cond.excludedStatuses).some(status => actorStatuses.has(status)) ) return false;
+  const excludedSenses = conditionList(cond.excludedSenses);
+  if ( excludedSenses.length && hasSenseInRange(obj, excludedSenses, getDistance) ) return false;
+  return true;
+}
+
+/**
+ * Does the token have an enabled detection mode among these, with a range reaching the other token?
+ * @param {Viewer} obj
+ * @param {string[]} senses             Detection mode ids
+ * @param {function} getDistance        Returns the distance between attacker and target, in grid units
+ * @returns {boolean}
+ */
+function hasSenseInRange(obj, senses, getDistance) {
+  const modes = obj.document?.detectionModes;
+  if ( !modes ) return false;
+  return modes.some(({ id, enabled, range }) => enabled !== false
+    && senses.includes(id)
+    && (range == null || range >= getDistance()));
+}
+
+/**
+ * Distance between the attacker and the target centers.
+ * @param {Viewer} attacker
+ * @param {Token} target
+ * @returns {number} In grid units
+ */
+function attackDistance(attacker, target) {
+  const { x, y } = viewerLocation(attacker);
+  return canvas.grid.measurePath([{ x, y }, target.center]).distance;
+}
+
+/**
+ * Condition list as an array.
+ * @param {string[]|string} [value]     Array, or comma-separated string
+ * @returns {string[]}
+ */
+function conditionList(value) {
+  if ( !value ) return [];
+  if ( typeof value === "string" ) return value.split(",").map(elem => elem.trim()).filter(Boolean);
+  return [...value];
+}
+
+/**
+ * Is this optional number field set? Blank form fields may be stored as null or an empty string.
+ * @param {number|string|null} [value]
+ * @returns {boolean}
+ */
+function isSet(value) { return value != null && value !== "" && Number.isFinite(Number(value)); }
+
+/**
+ * Convert a config object of labels, or of objects with labels, to select choices.
+ * @param {object} [obj]
+ * @returns {object<string, string>}
+ */
+function labelChoices(obj) {
+  if ( !obj ) return {};
+  return Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, typeof value === "string" ? value : value.label]));
+}
@@ -17,6 +17,7 @@ import { CoverCalculator } from "./CoverCalculator.js";
 import { Point3d } from "./geometry/3d/Point3d.js";
 import { Settings } from "./settings.js";
 import { NULL_SET } from "./util.js";
+import { viewerLocation } from "./LOS/util.js";
 
 // ----- NOTE: Set up sockets so GM can create or modify items ----- //
 Hooks.once("socketlib.ready", () => {
@@ -45,6 +46,12 @@ export class CoverDialog {
   /** @type {object} */
   config = {};
 
+  /**
+   * Percent cover of each cover effect tested for each target, for the change formulas.
+   * @type {Map<Token, Map<CoverEffect, number>>}
+   */
+  effectPercents = new Map();
+
   constructor(attacker, targets, config = {}) {
     if ( !attacker && game.user._lastSelected ) attacker = fromUuidSync(game.user._lastSelected)?.object;
     attacker ??= canvas.tokens.controlled[0];
@@ -62,8 +69,12 @@ export class CoverDialog {
   }
 
   toJSON() {
+    // Tokens by id; other placeables by uuid; points by coordinates.
+    const attacker = this.attacker instanceof foundry.canvas.placeables.Token ? this.attacker.id
+      : this.attacker instanceof Point3d ? { x: this.attacker.x, y: this.attacker.y, z: this.attacker.z }
+        : this.attacker.document.uuid;
     return {
-      attacker: this.attacker.id,
+      attacker,
       coverCalculations: this.constructor._coverCalculationsToJSON(this.coverCalculations), // Targets are the cover calc keys
       config: this.config
     };
@@ -71,7 +82,9 @@ export class CoverDialog {
 
   static fromJSON(data) {
     const canvasTokens = new Map(canvas.tokens.placeables.map(t => [t.id, t]));
-    const attacker = canvasTokens.get(data.attacker);
+    const attacker = typeof data.attacker === "object"
+      ? new Point3d(data.attacker.x, data.attacker.y, data.attacker.z)
+      : canvasTokens.get(data.attacker) ?? fromUuidSync(data.attacker)?.object;
     if ( !attacker ) {
       ui.notifications.error(`${game.i18n.localize("tokencover.name")}|Attacker for the GM dialog were not found.`);
       console.error(`${MODULE_ID}|CoverDialog#fromJSON|Attacker not found. ${data.attacker}`);
@@ -95,7 +108,8 @@ export class CoverDialog {
   /** @type {Map<Token, Set<CoverEffect>>} */
   get coverCalculations() {
     if ( this.#coverCalculations.size === this.targets.size ) return this.#coverCalculations;
-    CoverCalculator.coverCalculations(this.attacker, this.targets, this.#coverCalculations, this.config);
+    CoverCalculator.coverCalculations(this.attacker, this.targets, this.#coverCalculations,
+      { ...this.config, effectPercents: this.effectPercents });
     return this.#coverCalculations;
   }
 
@@ -432,8 +446,10 @@ ${html}
     }
 
     const cfg = this.config?.attacker ?? {};
-    const img = cfg.img || (this.attacker.document?.texture?.src) || CONFIG.controlIcons.combat;
-    const name = cfg.name || this.attacker.name || game.i18n.localize("COMBAT.UnknownCombatant");
+    const img = cfg.img || (this.attacker.document?.texture?.src) || attackerIcon(this.attacker);
+    const name = cfg.name || this.attacker.name
+      || (this.attacker.document ? game.i18n.localize(`DOCUMENT.${this.attacker.document.documentName}`) : "")
+      || game.i18n.localize("COMBAT.UnknownCombatant");
     const html =
     `
     <div class="flexrow">
@@ -479,10 +495,13 @@ ${html}
    *   - @prop {Set<CoverEffect>} priorityType
    *   - @prop {Set<CoverEffect>} overlappingTypes
    *   - @prop {number} percentCover
+   *   - @prop {CoverAttributionResult} [coverSources]  Only if the cover sources setting is enabled
    */
   _targetData() {
+    const showSources = Settings.get(Settings.KEYS.COVER_WORKFLOW.SOURCES);
+    const coverCalc = showSources ? (this.attacker.tokencover?.coverCalculator ?? new CoverCalculator(this.attacker)) : null;
     const attackerCenter = this.attacker instanceof foundry.canvas.placeables.Token ? Point3d.fromToken(this.attacker).top // Measure from attacker vision point.
-      : new Point3d(this.attacker.document.x, this.attacker.document.y, this.attacker.elevationZ);
+      : viewerLocation(this.attacker);
     return [...this.targets].map(target => {
       const data = {
         name: target.name,
@@ -498,6 +517,9 @@ ${html}
       // Cover percentage
       data.percentCover = target.tokencover.coverPercentFromAttacker(this.attacker);
 
+      // Obstacles providing the cover
+      if ( showSources ) data.coverSources = coverCalc.coverAttribution(target);
+
       // Distance between attacker and target
       data.distance = Point3d.distanceBetween(attackerCenter, Point3d.fromTokenCenter(target));
 
@@ -511,8 +533,8 @@ ${html}
   /**
    * Construct an html table that describes the cover calculations.
    * Table has no headers and one or more columns.
-   * Columns: icon, name, priorityCover, overlappingCover, percentCover, distance
-   * ∆ My Token  | Three Quarters | Soft   | 75%     | 39 ft
+   * Columns: icon, name, priorityCover, overlappingCover, percentCover, coverSources, distance
+   * ∆ My Token  | Three Quarters | Soft   | 75%     | Wall 50%, Goblin 25% | 39 ft
    *
    * @param {object} [opts]       Options that affect how the table is displayed
    * @param {Set<string>} [opts.excludedColumns]    One or more columns to exclude
@@ -591,6 +613,13 @@ ${html}
         `;
       }
 
+      if ( !excludedColumns.has("coverSources") && td.coverSources ) {
+        htmlRow +=
+        `
+        <td>${htmlCoverSources(td.coverSources)}</td>
+        `;
+      }
+
       if ( !excludedColumns.has("distance") ) {
         htmlRow +=
         `
@@ -677,13 +706,44 @@ function coverNames(coverEffects) {
     : game.i18n.localize("tokencover.cover.None");
 }
 
+/**
+ * Icon for an attacker without its own image, such as a light or sound.
+ * @param {Viewer} attacker
+ * @returns {string} Path to the icon
+ */
+function attackerIcon(attacker) {
+  if ( attacker instanceof foundry.canvas.placeables.AmbientLight ) return CONFIG.controlIcons.light;
+  if ( attacker instanceof foundry.canvas.placeables.AmbientSound ) return CONFIG.controlIcons.sound;
+  if ( attacker instanceof foundry.canvas.placeables.MeasuredTemplate ) return CONFIG.controlIcons.template;
+  return CONFIG.controlIcons.combat;
+}
+
+/**
+ * Return an html list of the obstacles providing cover and the percent each provides.
+ * @param {CoverAttributionResult} coverSources
+ * @returns {string} HTML
+ */
+function htmlCoverSources(coverSources) {
+  // Obstacle names are set by users, so escape them.
+  const lines = coverSources.obstacles
+    .map(o => `${foundry.utils.escapeHTML(o.name)}: ${Math.round(o.percent * 100)}%`);
+  if ( coverSources.overlap > 0.005 ) {
+    lines.push(`<em>${game.i18n.localize(`${MODULE_ID}.phrases.OverlappingObstacles`)}: ${Math.round(coverSources.overlap * 100)}%</em>`);
+  }
+  return lines.join("<br>");
+}
+
 /**
  * Workflow to process cover for given token and targets during attack.
  * Used by midi-qol and dnd5e functions.
  * @param {Token} attacker
  * @param {Set<Token>} targets    Targeted token set. May be modified by user choices.
  * @param {object} [opts]           Options passed to CoverDialog
+ * @param {string} [opts.actionType]  "msak"|"mwak"|"rsak"|"rwak". Melee actions use melee cover
+ * @param {string} [opts.senseType]   Wall restriction type for the cover calculation, such as "effect"
+ * @param {string} [opts.templateOrigin]  For a template attacker, one of CoverCalculator.TEMPLATE_ORIGINS
  * @returns {boolean} True if attack should continue; false otherwise.
+ *   If true, call removeAttackerCover once the attack is rolled or abandoned.
  */
 export async function coverAttackWorkflow(attacker, targets, opts) {
   // Construct dialogs, if applicable
@@ -692,17 +752,30 @@ export async function coverAttackWorkflow(attacker, targets, opts) {
   // - undefined if covercheck is set to NONE. NONE may still require chat display.
   // - Map otherwise
   const { KEYS, ENUMS } = Settings;
+
+  // Melee attacks use the grid corner-to-corner cover test.
+  opts = { ...opts };
+  opts.melee ??= CoverCalculator.MELEE_ACTION_TYPES.has(opts.actionType);
   const coverDialog = new CoverDialog(attacker, targets, opts);
   const coverCalculations = await coverDialog.workflow();
   if ( coverCalculations === false ) return false;  // User canceled
 
   // Update the targets' cover effects.
+  // Effects that apply to the attacker are added to the attacker instead, until the attack is rolled.
+  removeAttackerCover(attacker);
   if ( Settings.get(KEYS.COVER_EFFECTS.USE) !== ENUMS.USE_CHOICES.NEVER ) {
     const CoverEffect = CONFIG[MODULE_ID].CoverEffect;
+    const { melee, senseType } = opts;
+    const attackerCover = new Map();
     for ( const [defender, coverEffects] of coverCalculations.entries() ) {
+      coverEffects.forEach(ce => {
+        if ( ce.appliesToAttacker && !attackerCover.has(ce) ) attackerCover.set(ce, defender);
+      });
       if ( CoverEffect.coverOverrideApplied(defender) ) continue;
-      defender.tokencover._replaceCover(coverEffects);
+      const effectPercents = coverDialog.effectPercents.get(defender);
+      defender.tokencover._replaceCover(coverEffects, { attackers: [attacker], melee, senseType, effectPercents });
     }
+    addAttackerCover(attacker, attackerCover, { melee, senseType, effectPercents: coverDialog.effectPercents });
   }
 
   // Send to chat.
@@ -711,3 +784,51 @@ export async function coverAttackWorkflow(attacker, targets, opts) {
   }
   return true;
 }
+
+/**
+ * Cover effects added to each attacker by coverAttackWorkflow, for removal once the attack is rolled.
+ * @type {WeakMap<Token, Set<CoverEffect>>}
+ */
+const ATTACKER_COVER = new WeakMap();
+
+/**
+ * Add cover effects that apply to the attacker, such as a penalty for firing into melee.
+ * Effects with change formulas are evaluated against the first target for which the effect applies.
+ * Only token attackers with actors can receive effects.
+ * @param {Viewer} attacker
+ * @param {Map<CoverEffect, Token>} attackerCover   Each effect and the target for which it applies
+ * @param {object} [opts]
+ * @param {boolean} [opts.melee]                    Use the melee (grid corner) cover test, if the percent is not known
+ * @param {string} [opts.senseType]                 Wall restriction type, if the percent is not known
+ * @param {Map<Token, Map<CoverEffect, number>>} [opts.effectPercents]  Percent cover of each effect for each target
+ */
+function addAttackerCover(attacker, attackerCover, { melee, senseType, effectPercents } = {}) {
+  if ( !attackerCover.size
+    || !(attacker instanceof foundry.canvas.placeables.Token)
+    || !attacker.actor ) return;
+  const CoverEffect = CONFIG[MODULE_ID].CoverEffect;
+  const added = new Set();
+  for ( const [ce, defender] of attackerCover.entries() ) {
+    let data;
+    if ( ce.changeFormulas ) {
+      const percent = effectPercents?.get(defender)?.get(ce) ?? ce.percentCover(attacker, defender, { melee, senseType });
+      data = { changes: ce.evaluatedChanges(percent, attacker, defender) };
+    }
+    if ( CoverEffect.addToTokenLocally(attacker, [ce], { refresh: false, data }) ) added.add(ce);
+  }
+  if ( !added.size ) return;
+  ATTACKER_COVER.set(attacker, added);
+  CoverEffect.refreshTokenDisplay(attacker);
+}
+
+/**
+ * Remove the cover effects added to the attacker by coverAttackWorkflow.
+ * @param {Viewer} attacker
+ * @returns {boolean} True if a change was made.
+ */
+export function removeAttackerCover(attacker) {
+  const added = ATTACKER_COVER.get(attacker);
+  if ( !added ) return false;
+  ATTACKER_COVER.delete(attacker);
+  return CONFIG[MODULE_ID].CoverEffect.removeFromTokenLocally(attacker, added);
+}
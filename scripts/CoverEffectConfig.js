@@ -6,6 +6,7 @@ game
 */
 
 import { MODULE_ID, FLAGS } from "./const.js";
+import { warnInvalidChangeFormulas } from "./CoverFormulas.js";
 
 // Adapted from https://github.com/death-save/combat-utility-belt/blob/master/modules/enhanced-conditions/enhanced-effect-config.js
 // @example
@@ -44,7 +45,19 @@ export class CoverEffectConfig extends ActiveEffectConfig {
       modes: Object.entries(CONST.ACTIVE_EFFECT_MODES).reduce((obj, e) => {
         obj[e[1]] = game.i18n.localize(`EFFECT.MODE_${e[0]}`);
         return obj;
-      }, {})
+      }, {}),
+      changeFormulas: Boolean(this.object.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.CHANGE_FORMULAS])
     };
   }
+
+  /**
+   * Warn if change formulas cannot be evaluated before saving.
+   * @param {Event} event
+   * @param {object} formData
+   * @inheritdoc
+   */
+  async _updateObject(event, formData) {
+    warnInvalidChangeFormulas(foundry.utils.expandObject(formData));
+    return super._updateObject(event, formData);
+  }
 }
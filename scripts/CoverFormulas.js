@@ -0,0 +1,100 @@
+/* globals
+game,
+Roll,
+ui,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+
+/**
+ * @typedef {object} CoverFormulaData
+ * Data available to the change value formulas of a cover effect.
+ * @prop {number} percent       Percent cover of the target, between 0 and 1. May be written "percent" or "@percent"
+ * @prop {object} attacker      Roll data of the attacker's actor, as "@attacker.abilities.dex.mod"
+ * @prop {object} target        Roll data of the target's actor, as "@target.attributes.prof"
+ */
+
+/**
+ * "percent" not already written as a roll data reference, such as "@percent" or "@target.percent".
+ * @type {RegExp}
+ */
+const BARE_PERCENT = /(?<![@.\w])percent\b/g;
+
+/**
+ * Data for evaluating the change formulas of a cover effect.
+ * Attackers without an actor, such as lights and templates, provide empty roll data.
+ * @param {number} percent
+ * @param {Viewer} [attacker]
+ * @param {Token} [target]
+ * @returns {CoverFormulaData}
+ */
+export function coverFormulaData(percent, attacker, target) {
+  return {
+    percent,
+    attacker: attacker?.actor?.getRollData() ?? {},
+    target: target?.actor?.getRollData() ?? {}
+  };
+}
+
+/**
+ * Evaluate a change value formula, such as "+floor(percent*10)".
+ * A leading "+" is kept on non-negative results, so the value still adds to formula fields such as save bonuses.
+ * @param {string} value
+ * @param {CoverFormulaData} data
+ * @returns {string}
+ */
+export function evaluateChangeFormula(value, data) {
+  value = String(value).trim();
+  const formula = Roll.replaceFormulaData(value.replace(BARE_PERCENT, "@percent"), data, { missing: "0" });
+  const result = Roll.safeEval(formula);
+  const sign = (value.startsWith("+") && result >= 0) ? "+" : "";
+  return `${sign}${result}`;
+}
+
+/**
+ * Evaluate the change values of an effect.
+ * A value that cannot be evaluated is kept as is.
+ * @param {EffectChangeData[]} changes
+ * @param {CoverFormulaData} data
+ * @returns {EffectChangeData[]} New change objects
+ */
+export function evaluateChanges(changes, data) {
+  return changes.map(change => {
+    try {
+      return { ...change, value: evaluateChangeFormula(change.value, data) };
+    } catch ( err ) {
+      console.warn(`${MODULE_ID}|Unable to evaluate cover effect change ${change.key}: ${change.value}`, err);
+      return { ...change };
+    }
+  });
+}
+
+/**
+ * Test whether a change value can be evaluated, using example data.
+ * Roll data references that the actors may not have are treated as 0.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidChangeFormula(value) {
+  try {
+    evaluateChangeFormula(value, coverFormulaData(0.5));
+    return true;
+  } catch ( _err ) {
+    return false;
+  }
+}
+
+/**
+ * Warn if a cover effect being saved has change formulas that cannot be evaluated.
+ * @param {object} data     Submitted effect data, with changes as an array or an object keyed by index
+ */
+export function warnInvalidChangeFormulas(data) {
+  if ( !data.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.CHANGE_FORMULAS] ) return;
+  const invalid = Object.values(data.changes ?? {}).filter(change => !isValidChangeFormula(change.value));
+  if ( !invalid.length ) return;
+  ui.notifications.warn(game.i18n.format(`${MODULE_ID}.cover-effect.change-formulas.Invalid`, {
+    changes: invalid.map(change => `${change.key}: ${change.value}`).join(", ")
+  }));
+}
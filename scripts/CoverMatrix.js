@@ -0,0 +1,218 @@
+/* globals
+foundry,
+PIXI,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { CoverCalculator } from "./CoverCalculator.js";
+
+/**
+ * @typedef {object} CoverMatrixEntry
+ * @prop {Viewer} attacker
+ * @prop {Token} target
+ * @prop {number} percentCover                    Percent cover, as in CoverCalculator#percentCover
+ * @prop {Set<CoverEffect>} effects               Cover effects that apply, as in CoverCalculator#coverEffects
+ * @prop {CoverAttribution[]} obstacles           Obstacles that contribute cover; empty if not requested
+ */
+
+/**
+ * @typedef {object} CoverMatrixOptions
+ * @prop {CalculatorConfig} [cfg]                 Options passed to the los calculator for the percent cover
+ * @prop {boolean} [includeObstacles=false]       Determine the obstacles contributing cover to each pair.
+ *                                                Each obstacle requires another calculation per pair
+ * @prop {object} [effectOpts]                    Options passed to coverForToken, such as actionType (dnd5e)
+ */
+
+/**
+ * Cover of every target from every attacker.
+ * Each attacker uses a single calculator for all of its targets, so the camera, obstacle filtering,
+ * and any WebGL framebuffer are set up once per attacker rather than once per pair.
+ * After a token moves, call update to recalculate only the pairs it could affect.
+ */
+export class CoverMatrix {
+  /** @type {Viewer[]} */
+  attackers = [];
+
+  /** @type {Token[]} */
+  targets = [];
+
+  /** @type {CoverMatrixOptions} */
+  opts = {};
+
+  /**
+   * Entries by attacker and then target.
+   * @type {Map<Viewer, Map<Token, CoverMatrixEntry>>}
+   */
+  #entries = new Map();
+
+  /**
+   * Canvas bounds of each token when its entries were last calculated.
+   * Used to find the pairs a moved token could have blocked.
+   * @type {Map<Token, PIXI.Rectangle>}
+   */
+  #bounds = new Map();
+
+  /**
+   * @param {Viewer[]|Set<Viewer>} attackers
+   * @param {Token[]|Set<Token>} targets
+   * @param {CoverMatrixOptions} [opts]
+   */
+  constructor(attackers, targets, opts = {}) {
+    this.attackers = [...attackers];
+    this.targets = [...targets];
+    this.opts = { includeObstacles: false, ...opts };
+  }
+
+  /**
+   * Construct a matrix and calculate all pairs.
+   * @param {Viewer[]|Set<Viewer>} attackers
+   * @param {Token[]|Set<Token>} targets
+   * @param {CoverMatrixOptions} [opts]
+   * @returns {CoverMatrix}
+   */
+  static compute(attackers, targets, opts) {
+    if ( attackers instanceof foundry.canvas.placeables.PlaceableObject ) attackers = [attackers];
+    if ( targets instanceof foundry.canvas.placeables.Token ) targets = [targets];
+    const matrix = new this(attackers, targets, opts);
+    matrix.calculate();
+    return matrix;
+  }
+
+  /**
+   * Calculate all pairs. An attacker is not paired with itself.
+   */
+  calculate() {
+    this.#entries.clear();
+    this.#bounds.clear();
+    for ( const attacker of this.attackers ) this.#calculateAttacker(attacker, this.targets);
+  }
+
+  /**
+   * Recalculate the pairs that a moved or changed token could affect:
+   * pairs in which it is the attacker or target, and pairs whose area it occupies or occupied.
+   * @param {Token} token
+   * @returns {CoverMatrixEntry[]} The recalculated entries
+   */
+  update(token) {
+    const oldBounds = this.#bounds.get(token);
+    const newBounds = tokenBounds(token);
+    const isObstacle = pairBounds => pairBounds.overlaps(newBounds) || (oldBounds && pairBounds.overlaps(oldBounds));
+    const updated = [];
+    for ( const attacker of this.attackers ) {
+      const targets = this.targets.filter(target => attacker === token
+        || target === token
+        || isObstacle(this.#pairBounds(attacker, target)));
+      updated.push(...this.#calculateAttacker(attacker, targets));
+    }
+    this.#bounds.set(token, newBounds);
+    return updated;
+  }
+
+  /**
+   * @param {Viewer} attacker
+   * @param {Token} target
+   * @returns {CoverMatrixEntry|undefined}
+   */
+  get(attacker, target) { return this.#entries.get(attacker)?.get(target); }
+
+  /**
+   * @param {Viewer} attacker
+   * @returns {CoverMatrixEntry[]}
+   */
+  entriesForAttacker(attacker) { return [...(this.#entries.get(attacker)?.values() ?? [])]; }
+
+  /**
+   * @param {Token} target
+   * @returns {CoverMatrixEntry[]}
+   */
+  entriesForTarget(target) {
+    return [...this.#entries.values()].map(targetMap => targetMap.get(target)).filter(Boolean);
+  }
+
+  /**
+   * Iterate over all entries.
+   * @yields {CoverMatrixEntry}
+   */
+  *[Symbol.iterator]() {
+    for ( const targetMap of this.#entries.values() ) yield* targetMap.values();
+  }
+
+  /**
+   * Plain data version of the matrix, using ids in place of placeables and cover effects.
+   * @returns {object[]}
+   */
+  toJSON() {
+    return [...this].map(entry => ({
+      attacker: entry.attacker.id ?? null,
+      target: entry.target.id,
+      percentCover: entry.percentCover,
+      effects: [...entry.effects].map(ce => ce.id),
+      obstacles: entry.obstacles.map(({ type, documentName, id, percent }) => ({ type, documentName, id, percent })),
+    }));
+  }
+
+  /**
+   * Calculate the entries for one attacker, reusing its calculator for every target.
+   * Each percent cover is calculated once per config, and reused by the cover effects that share it.
+   * @param {Viewer} attacker
+   * @param {Token[]} targets
+   * @returns {CoverMatrixEntry[]}
+   */
+  #calculateAttacker(attacker, targets) {
+    const { cfg, includeObstacles, effectOpts } = this.opts;
+    const coverCalc = attacker.tokencover?.coverCalculator ?? new CoverCalculator(attacker);
+    if ( !this.#entries.has(attacker) ) this.#entries.set(attacker, new Map());
+    const targetMap = this.#entries.get(attacker);
+    if ( attacker instanceof foundry.canvas.placeables.Token ) this.#bounds.set(attacker, tokenBounds(attacker));
+    const entries = [];
+    coverCalc._percentMemo = new Map();
+    try {
+      for ( const target of targets ) {
+        if ( target === attacker ) continue;
+        const entry = {
+          attacker,
+          target,
+          percentCover: coverCalc.percentCover(target, cfg),
+          effects: coverCalc.coverEffects(target, effectOpts),
+          obstacles: includeObstacles ? coverCalc.coverAttribution(target, cfg).obstacles : [],
+        };
+        targetMap.set(target, entry);
+        this.#bounds.set(target, tokenBounds(target));
+        entries.push(entry);
+      }
+    } finally {
+      coverCalc._percentMemo = undefined;
+    }
+    return entries;
+  }
+
+  /**
+   * Area containing an attacker and target, and so any obstacle between them.
+   * @param {Viewer} attacker
+   * @param {Token} target
+   * @returns {PIXI.Rectangle}
+   */
+  #pairBounds(attacker, target) {
+    const attackerBounds = this.#bounds.get(attacker)
+      ?? new PIXI.Rectangle(attacker.x ?? attacker.center?.x, attacker.y ?? attacker.center?.y, 0, 0);
+    const targetBounds = this.#bounds.get(target) ?? tokenBounds(target);
+    const x = Math.min(attackerBounds.left, targetBounds.left);
+    const y = Math.min(attackerBounds.top, targetBounds.top);
+    const right = Math.max(attackerBounds.right, targetBounds.right);
+    const bottom = Math.max(attackerBounds.bottom, targetBounds.bottom);
+    return new PIXI.Rectangle(x, y, right - x, bottom - y);
+  }
+}
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Canvas bounds of a token, copied so later moves do not change it.
+ * @param {Token} token
+ * @returns {PIXI.Rectangle}
+ */
+function tokenBounds(token) {
+  const { x, y, width, height } = token.bounds;
+  return new PIXI.Rectangle(x, y, width, height);
+}
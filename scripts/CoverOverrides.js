@@ -0,0 +1,190 @@
+/* globals
+canvas,
+foundry,
+game,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { FLAGS } from "./LOS/const.js";
+import { Settings } from "./settings.js";
+import { TokenCover } from "./TokenCover.js";
+import { CoverCache } from "./CoverCache.js";
+
+// Patches for the scene and region cover overrides
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/* Cover overrides
+
+A scene can override some of the world settings, such as the line-of-sight algorithm and the viewer
+and target points, and some of the cover effect rules. A cover region behavior can override the same
+cover effect rules for targets within the region. Region overrides take precedence over scene overrides,
+which take precedence over the rules of each cover effect.
+*/
+
+/**
+ * @typedef {object} TokenBlockingOverrides
+ * Each is "block" or "ignore" to override the cover effects' rule, or blank to use each effect's rule.
+ * @prop {string} [live]
+ * @prop {string} [dead]
+ * @prop {string} [prone]
+ */
+
+/**
+ * @typedef {object} SceneCoverOverrides
+ * @prop {object<string, *>} [settings]             Values used instead of the world settings, by setting key.
+ *                                                  Only Settings.OVERRIDE_KEYS are used. Blank to use the world setting
+ * @prop {string[]} [disabledEffects]               Ids of cover effects that do not apply in the scene
+ * @prop {TokenBlockingOverrides} [tokensBlock]
+ */
+
+/**
+ * @typedef {object} CoverRuleOverrides
+ * @prop {Set<string>} disabledEffects              Ids of cover effects that do not apply
+ * @prop {object<string, boolean>} tokensBlock      Whether live, dead, or prone tokens block, if overridden
+ */
+
+/**
+ * Token blocking override values.
+ * @enum {string}
+ */
+export const TOKENS_BLOCK_OVERRIDES = {
+  BLOCK: "block",
+  IGNORE: "ignore"
+};
+
+/**
+ * The viewed scene's override of a setting.
+ * @param {string} key
+ * @returns {*|undefined} Undefined if the scene does not override the setting
+ */
+export function sceneSettingOverride(key) {
+  const value = sceneOverrides().settings?.[key];
+  return (value === "" || value === null) ? undefined : value;
+}
+
+/**
+ * Cover rule overrides for a target, from the viewed scene and the cover regions containing the target.
+ * @param {Token} [target]          If not provided, only the scene overrides
+ * @returns {CoverRuleOverrides}
+ */
+export function coverRuleOverrides(target) {
+  const overrides = sceneOverrides();
+  const disabledEffects = new Set(overrides.disabledEffects ?? []);
+  const tokensBlock = {};
+  applyTokensBlock(tokensBlock, overrides.tokensBlock);
+  for ( const behavior of regionOverrideBehaviors(target) ) {
+    const { disabledEffects: regionDisabled, liveTokensBlock, deadTokensBlock, proneTokensBlock } = behavior.system;
+    regionDisabled?.forEach(id => disabledEffects.add(id));
+    applyTokensBlock(tokensBlock, { live: liveTokensBlock, dead: deadTokensBlock, prone: proneTokensBlock });
+  }
+  return { disabledEffects, tokensBlock };
+}
+
+/**
+ * Key describing the cover rule overrides for a target, for the cover cache.
+ * @param {Token} [target]
+ * @returns {string} Empty if nothing is overridden
+ */
+export function coverRuleOverridesKey(target) {
+  const { disabledEffects, tokensBlock } = coverRuleOverrides(target);
+  if ( !disabledEffects.size && foundry.utils.isEmpty(tokensBlock) ) return "";
+  return JSON.stringify([[...disabledEffects].sort(), tokensBlock]);
+}
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Effective values of the overridable settings when last applied.
+ * Used to update only what changes when the scene overrides change.
+ * @type {Map<string, *>}
+ */
+const appliedSettings = new Map();
+
+/**
+ * Tokens are built with the scene's settings, but the shared calculators outlast the scene.
+ */
+function canvasReady() {
+  appliedSettings.clear();
+  for ( const key of Settings.OVERRIDE_KEYS ) appliedSettings.set(key, Settings.get(key));
+  if ( !Settings.currentCalculator ) return;
+  const { POINTS, INSET } = Settings.KEYS.LOS.TARGET.POINT_OPTIONS;
+  Settings.losSettingChange(POINTS);
+  Settings.losSettingChange(INSET);
+}
+
+/**
+ * Apply changes to the overrides of the viewed scene.
+ * @param {Document} scene                          The existing Document which was updated
+ * @param {object} changes                          Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateScene(scene, changes, _options, _userId) {
+  if ( scene !== canvas.scene || !foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`) ) return;
+  CoverCache.resetRulesKeys();
+  for ( const key of Settings.OVERRIDE_KEYS ) {
+    const value = Settings.get(key);
+    if ( appliedSettings.get(key) === value ) continue;
+    appliedSettings.set(key, value);
+    Settings.losSettingChange(key);
+  }
+  TokenCover._resetAllCover();
+  TokenCover._forceUpdateAllTokenCover();
+}
+
+/**
+ * Recalculate cover when a cover region behavior in the viewed scene changes.
+ * @param {RegionBehavior} behavior
+ */
+function coverBehaviorChanged(behavior) {
+  if ( behavior.type !== `${MODULE_ID}.setCover` || behavior.parent?.parent !== canvas.scene ) return;
+  CoverCache.resetRulesKeys();
+  TokenCover._resetAllCover();
+  TokenCover._forceUpdateAllTokenCover();
+}
+
+PATCHES.BASIC.HOOKS = {
+  canvasReady,
+  updateScene,
+  createRegionBehavior: coverBehaviorChanged,
+  updateRegionBehavior: coverBehaviorChanged,
+  deleteRegionBehavior: coverBehaviorChanged
+};
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Overrides stored in the viewed scene.
+ * @returns {SceneCoverOverrides}
+ */
+function sceneOverrides() {
+  return game.scenes?.viewed?.flags?.[MODULE_ID]?.[FLAGS.SCENE.OVERRIDES] ?? {};
+}
+
+/**
+ * Enabled cover region behaviors for the regions containing the target.
+ * @param {Token} [target]
+ * @returns {RegionBehavior[]}
+ */
+function regionOverrideBehaviors(target) {
+  const regions = target?.tokencover?.coverRegions;
+  if ( !regions?.length ) return [];
+  return regions.flatMap(region => region.document.behaviors
+    .filter(behavior => behavior.type === `${MODULE_ID}.setCover` && !behavior.disabled));
+}
+
+/**
+ * Set token blocking overrides, skipping any left blank.
+ * @param {object<string, boolean>} tokensBlock     Overrides to modify in place
+ * @param {TokenBlockingOverrides} [values]
+ */
+function applyTokensBlock(tokensBlock, values) {
+  if ( !values ) return;
+  for ( const [type, value] of Object.entries(values) ) {
+    if ( value === TOKENS_BLOCK_OVERRIDES.BLOCK ) tokensBlock[type] = true;
+    else if ( value === TOKENS_BLOCK_OVERRIDES.IGNORE ) tokensBlock[type] = false;
+  }
+}
@@ -0,0 +1,64 @@
+/* globals
+foundry
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { OBSTACLE_VERSIONS } from "./LOS/config.js";
+
+/**
+ * Region behavior that makes the region a 3d cover volume, such as smoke, a low wall, or a canopy.
+ * Rays passing through the volume between its bottom and top lose its strength of their visibility.
+ * A region with this behavior blocks only through its cover volumes.
+ */
+export class CoverVolumeRegionBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+
+  static defineSchema() {
+    return {
+      bottom: new foundry.data.fields.NumberField({
+        label: `${MODULE_ID}.behavior.types.cover-volume.fields.bottom.name`,
+        hint: `${MODULE_ID}.behavior.types.cover-volume.fields.bottom.hint`,
+        required: true,
+        nullable: true,
+        initial: null
+      }),
+
+      top: new foundry.data.fields.NumberField({
+        label: `${MODULE_ID}.behavior.types.cover-volume.fields.top.name`,
+        hint: `${MODULE_ID}.behavior.types.cover-volume.fields.top.hint`,
+        required: true,
+        nullable: true,
+        initial: null
+      }),
+
+      strength: new foundry.data.fields.NumberField({
+        label: `${MODULE_ID}.behavior.types.cover-volume.fields.strength.name`,
+        hint: `${MODULE_ID}.behavior.types.cover-volume.fields.strength.hint`,
+        required: true,
+        nullable: false,
+        min: 0,
+        max: 1,
+        step: 0.05,
+        initial: 1
+      })
+    };
+  }
+
+  // Behaviors are not tracked by the region watchers, so count changes to them as region changes.
+
+  _onCreate(data, options, userId) {
+    super._onCreate(data, options, userId);
+    OBSTACLE_VERSIONS.Region += 1;
+  }
+
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+    OBSTACLE_VERSIONS.Region += 1;
+  }
+
+  _onDelete(options, userId) {
+    super._onDelete(options, userId);
+    OBSTACLE_VERSIONS.Region += 1;
+  }
+}
@@ -0,0 +1,28 @@
+/* globals
+CONST,
+foundry,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { wallEffectRestriction } from "./LOS/util.js";
+
+// Patches for the Edge class.
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Getters ----- //
+
+/**
+ * New getter: Edge#effect
+ * Restriction of the edge for line of effect, so edge[senseType] works for the "effect" sense type.
+ * Wall edges use the wall's effect restriction; other edges use their movement restriction.
+ * @type {CONST.WALL_SENSE_TYPES}
+ */
+function effect() {
+  const wall = this.object;
+  if ( !(wall instanceof foundry.canvas.placeables.Wall) ) return this.move;
+  return wallEffectRestriction(wall);
+}
+
+PATCHES.BASIC.GETTERS = { effect };
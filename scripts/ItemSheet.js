@@ -5,9 +5,10 @@ game
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { MODULE_ID, FLAGS, TEMPLATES } from "./const.js";
+import { MODULE_ID, FLAGS, TEMPLATES, LABELS } from "./const.js";
 import { CoverEffectsApp } from "./CoverEffectsApp.js";
 import { renderTemplateSync } from "./util.js";
+import { coverCombinationContext } from "./CoverCombination.js";
 
 export const PATCHES = {};
 PATCHES.COVER_ITEM = {};
@@ -52,6 +53,10 @@ const INSERT_FNS = {
  * Insert the html for a PF2e effect item.
  */
 function insertPF2e(html, data) {
+  data[MODULE_ID] ??= {};
+  data[MODULE_ID].thresholdCoverTypeChoices = LABELS.COVER_EFFECT.THRESHOLD_COVER_TYPE;
+  data[MODULE_ID].senseTypeChoices = LABELS.SENSE_TYPES;
+  Object.assign(data[MODULE_ID], coverCombinationContext(data.document));
   const myHTML = renderTemplateSync(TEMPLATES.COVER_RULES_PF2E, data);
   const div = document.createElement("div");
   div.innerHTML = myHTML;
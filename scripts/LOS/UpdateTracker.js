@@ -164,6 +164,55 @@ export class DocumentUpdateTracker {
     Region: new Map(),
   }
 
+  /**
+   * Counter incremented for each document creation, tracked update, or deletion.
+   * Used to order the per-document changes.
+   * @type {number}
+   */
+  static documentChangeCounter = 0;
+
+  /**
+   * For each type, the counter value at which each document was last created or updated.
+   * @type {object<string, Map<string, number>>}
+   */
+  static documentChanges = {
+    Token: new Map(),
+    Wall: new Map(),
+    Tile: new Map(),
+    AmbientLight: new Map(),
+    AmbientSound: new Map(),
+    Region: new Map(),
+  }
+
+  /**
+   * For each type, the counter value at which each document was deleted.
+   * @type {object<string, Map<string, number>>}
+   */
+  static documentDeletions = {
+    Token: new Map(),
+    Wall: new Map(),
+    Tile: new Map(),
+    AmbientLight: new Map(),
+    AmbientSound: new Map(),
+    Region: new Map(),
+  }
+
+  /**
+   * Record that a specific document changed or was deleted.
+   * @param {string} type
+   * @param {Document} document
+   * @param {boolean} [deleted=false]
+   */
+  static _logDocumentChange(type, document, deleted = false) {
+    if ( !this.documentChanges[type] ) return;
+    const counter = this.documentChangeCounter += 1;
+    const [log, other] = deleted
+      ? [this.documentDeletions[type], this.documentChanges[type]]
+      : [this.documentChanges[type], this.documentDeletions[type]];
+    log.set(document.id, counter);
+    other.delete(document.id);
+  }
+
   // Not currently used but could be use to track placeable refresh, e.g. preview token movement.
   /*
   static trackedPlaceableAttributes = {
@@ -221,8 +270,9 @@ export class DocumentUpdateTracker {
    * @param {Partial<DatabaseCreateOperation>} options Additional options which modified the creation request
    * @param {string} userId                           The ID of the User who triggered the creation workflow
    */
-  static _onPlaceableDocumentCreation(type, _document, _options, _userId) {
+  static _onPlaceableDocumentCreation(type, document, _options, _userId) {
     this.trackedDocumentCreation[type] += 1;
+    this._logDocumentChange(type, document);
   }
 
   /**
@@ -236,8 +286,9 @@ export class DocumentUpdateTracker {
    * @param {Partial<DatabaseDeleteOperation>} options Additional options which modified the deletion request
    * @param {string} userId                           The ID of the User who triggered the deletion workflow
    */
-  static _onPlaceableDocumentDeletion(type, _document, _options, _userId) {
+  static _onPlaceableDocumentDeletion(type, document, _options, _userId) {
     this.trackedDocumentDeletion[type] += 1;
+    this._logDocumentChange(type, document, true);
   }
 
   /**
@@ -247,13 +298,16 @@ export class DocumentUpdateTracker {
    * @param {Partial<DatabaseUpdateOperation>} options Additional options which modified the update request
    * @param {string} userId                           The ID of the User who triggered the update workflow
    */
-  static _onPlaceableDocumentUpdate(type, _document, changed, _options, _userId) {
+  static _onPlaceableDocumentUpdate(type, document, changed, _options, _userId) {
     const changeKeys = Object.keys(foundry.utils.flattenObject(changed));
     const attrMap = this.trackedDocumentUpdateAttributes[type];
+    let tracked = false;
     for ( const key of changeKeys ) {
       if ( !attrMap.has(key) ) continue;
       attrMap.set(key, attrMap.get(key) + 1);
+      tracked = true;
     }
+    if ( tracked ) this._logDocumentChange(type, document);
   }
 
   static trackDocumentCreation(type) {
@@ -296,6 +350,9 @@ export class DocumentUpdateTracker {
   /** @type {number} */
   #attributeKeys = new Map();
 
+  /** @type {number} */
+  #deltaKey = -1; // Set to -1 to return every logged document the first time.
+
   /** @type {string} */
   type = ""
 
@@ -373,6 +430,29 @@ export class DocumentUpdateTracker {
     }
     return needsUpdate;
   }
+
+  /**
+   * @typedef {object} DocumentDeltas
+   * @prop {string[]} changed     Ids of documents created or updated
+   * @prop {string[]} deleted     Ids of documents deleted
+   */
+
+  /**
+   * Store the latest per-document changes.
+   * Updates count only if they change an attribute tracked for this type by any tracker.
+   * If called repeatedly, will return empty arrays after the first time until (another) change occurs.
+   * @returns {DocumentDeltas} Documents changed or deleted since the last call.
+   */
+  logDeltas() {
+    const { documentChanges, documentDeletions, documentChangeCounter } = this.constructor;
+    const deltaKey = this.#deltaKey;
+    const changed = [];
+    const deleted = [];
+    for ( const [id, counter] of documentChanges[this.type].entries() ) if ( counter > deltaKey ) changed.push(id);
+    for ( const [id, counter] of documentDeletions[this.type].entries() ) if ( counter > deltaKey ) deleted.push(id);
+    this.#deltaKey = documentChangeCounter;
+    return { changed, deleted };
+  }
 }
 
 export class TokenUpdateTracker {
@@ -14,7 +14,7 @@ import { Draw } from "../geometry/Draw.js";
 import { GEOMETRY_LIB_ID } from "../geometry/const.js";
 
 // LOS folder
-import { tokensOverlap, insetPoints } from "./util.js";
+import { tokensOverlap, insetPoints, viewerLocation, levelCeilingZ } from "./util.js";
 import { DocumentUpdateTracker, TokenUpdateTracker } from "./UpdateTracker.js";
 import { SmallBitSet } from "./SmallBitSet.js";
 
@@ -31,6 +31,7 @@ const DM_SENSE_TYPES = {
   "sound": foundry.canvas.perception.DetectionMode.DETECTION_TYPES.SOUND,
   "move": foundry.canvas.perception.DetectionMode.DETECTION_TYPES.MOVE,
   "light": foundry.canvas.perception.DetectionMode.DETECTION_TYPES.OTHER, // No "light" equivalent
+  "effect": "effect", // No detection type for line of effect
 }
 
 /**
@@ -39,6 +40,8 @@ const DM_SENSE_TYPES = {
  * @property {number} viewpointInset                  Offset each viewpoint from viewer border
  * @property {boolean} angle                          True if constrained by viewer vision angle
  * @property {number} threshold                       Percent needed to be seen for LOS
+ * @property {string} viewpointAggregation            How to combine viewpoints; see ViewerLOS.AGGREGATION_TYPES
+ * @property {number} viewpointBestN                  Number of viewpoints used by the best N aggregation
  */
 export class ViewerLOS {
 
@@ -71,6 +74,20 @@ export class ViewerLOS {
 
   static POINT_OPTIONS = {}; // Filled in below.
 
+  /**
+   * How to combine the cover (or visibility) from each viewpoint.
+   * Expressed in terms of cover: MIN takes the viewpoint with the least cover.
+   * BEST_N averages the N viewpoints with the least cover.
+   * @type {enum<string>}
+   */
+  static AGGREGATION_TYPES = {
+    MIN: "min",
+    MAX: "max",
+    MEAN: "mean",
+    MEDIAN: "median",
+    BEST_N: "best-n",
+  };
+
   // Simply trim "los-algorithm-" from the setting.
   static VIEWPOINT_ALGORITHM_SETTINGS = {
     "los-algorithm-points": "points",
@@ -79,13 +96,21 @@ export class ViewerLOS {
     "los-algorithm-sample-pixel": "sample-pixel",
     "los-algorithm-hybrid": "hybrid",
     "los-algorithm-webgl2": "webgl2",
+    "los-algorithm-grid-corners": "grid-corners",
     "los-algorithm-webgpu": "webgpu",
     "los-algorithm-webgpu-async": "webgpu-async",
+    "los-algorithm-auto": "auto",
   };
 
   /** @type {PercentVisibleCalculator} */
   calculator;
 
+  /**
+   * If set, chooses the calculator each time a target is set. See AlgorithmSelector.js.
+   * @type {AlgorithmSelector|undefined}
+   */
+  calculatorSelector;
+
   /**
    * @param {Token} viewer      					The token whose LOS should be tested
    * @param {PercentVisibleCalculator} 		The visibility calculator to use.
@@ -106,6 +131,8 @@ export class ViewerLOS {
     viewpointInset: 0, // Percentage inset
     angle: true, // If constrained by the viewer vision angle
     threshold: 0.75, // Percent used for LOS
+    viewpointAggregation: "min", // Least cover among the viewpoints
+    viewpointBestN: 1, // Used by the best N aggregation
   };
 
   /** @type {ViewerLOSConfig} */
@@ -145,14 +172,33 @@ export class ViewerLOS {
   // ----- NOTE: Viewer ----- //
 
   /** @type {Point3d} */
-  get center() { return this.viewer ? Point3d.fromTokenCenter(this.viewer) : undefined; }
+  get center() { return this.viewer ? viewerLocation(this.viewer) : undefined; }
+
+  /** @type {boolean} */
+  get viewerIsToken() { return this.viewer instanceof foundry.canvas.placeables.Token; }
+
+  /**
+   * Elevation, in pixels, of the ceiling of the viewer's level, if the scene defines levels.
+   * Viewpoints stay below it, so that a tall viewer does not see over the floor above.
+   * @type {number}
+   */
+  get ceilingZ() {
+    if ( !this.viewer ) return Number.POSITIVE_INFINITY;
+    return levelCeilingZ(this.viewerIsToken ? this.viewer.bottomZ : this.center.z);
+  }
+
+  /**
+   * Source that limits the viewer's angle of view: a token's vision or a light's emission.
+   * @type {PointVisionSource|PointLightSource|undefined}
+   */
+  get viewerSource() { return this.viewer?.vision ?? this.viewer?.lightSource; }
 
   /** @type {number} */
-  get visionAngle() { return this.viewer?.vision.data.angle ?? 360; }
+  get visionAngle() { return this.viewerSource?.data.angle ?? 360; }
 
   /**
-   * The token associated with a camera location signifying the viewer.
-   * @type {Token}
+   * The token or other object associated with a camera location signifying the viewer.
+   * @type {Viewer}
    */
   #viewer;
 
@@ -176,6 +222,7 @@ export class ViewerLOS {
     if ( opts.viewer ) this.viewer = opts.viewer;
     if ( opts.target ) this.target = opts.target;
     if ( opts.targetLocation ) this.targetLocation = opts.targetLocation;
+    if ( opts.target ) this._selectCalculator();
     if ( this.dirty ) this._clean();
     this.calculator.initializeView({
       ...opts,
@@ -185,11 +232,27 @@ export class ViewerLOS {
     });
   }
 
+  /**
+   * Use the calculator chosen by the selector, if any, for the current viewer and target.
+   */
+  _selectCalculator() {
+    if ( !this.calculatorSelector || !this.viewer || !this.target ) return;
+    this.calculator = this.calculatorSelector.select(this.viewer, this.target);
+  }
+
   /**
    * Set up the viewpoints for this viewer.
    */
   initializeViewpoints() {
     if ( !this.viewer ) return false;
+
+    // Objects other than tokens have a single viewpoint at their eye location.
+    if ( !this.viewerIsToken ) {
+      this.viewpoints.length = 1;
+      this.viewpoints[0] = new Viewpoint(this, viewerLocation(this.viewer));
+      return true;
+    }
+
     const pts = this.constructor.constructTokenPoints(this.viewer, {
       pointKey: this.config.viewpointIndex,
       inset: this.config.viewpointInset,
@@ -248,10 +311,11 @@ export class ViewerLOS {
     if ( viewer === target ) return 1;
 
     // If directly overlapping.
-    if ( tokensOverlap(viewer, target) ) return 1;
+    if ( this.viewerIsToken && tokensOverlap(viewer, target) ) return 1;
 
     // Target is not within the limited angle vision of the viewer.
-    if ( viewer.vision && this.config.angle && !this.constructor.targetWithinLimitedAngleVision(viewer.vision, target) ) return 0;
+    const source = this.viewerSource;
+    if ( source && this.config.angle && !this.constructor.targetWithinLimitedAngleVision(source, target) ) return 0;
 
     return -1;
   }
@@ -262,6 +326,7 @@ export class ViewerLOS {
    */
   calculate(cfg) {
     this.viewpoints.forEach(vp => vp.lastResult = undefined);
+    this._selectCalculator();
     this.calculator.initializeView(this);
     if ( this.dirty ) this._clean();
 
@@ -275,7 +340,9 @@ export class ViewerLOS {
     // Set the calculator config here to avoid doing it repeatedly in the loop.
     if ( cfg ) this.calculator.config = cfg;
 
-    // Test each viewpoint until unobscured is 1.
+    // Test each viewpoint. If using the least cover, stop once unobscured is 1.
+    const isMin = this.#config.viewpointAggregation === this.constructor.AGGREGATION_TYPES.MIN;
+    const values = [];
     for ( const vp of this.viewpoints ) {
       if ( this._viewpointBlockedByViewer(vp.viewpoint) ) {
         vp.lastResult = vp.calculator._createResult();
@@ -283,13 +350,62 @@ export class ViewerLOS {
         continue;
       }
       const res = vp.calculate();
+      values.push(res.percentVisible);
+      if ( !isMin ) continue;
       this._percentVisible = Math.max(this._percentVisible, res.percentVisible);
       if ( this._percentVisible >= 1 ) return;
     }
+    if ( !isMin ) this._percentVisible = this.aggregatePercentVisible(values);
     if ( CONFIG[MODULE_ID].useStereoBlending
       && this._percentVisible < this.config.threshold ) this._calculateStereo();
   }
 
+  /**
+   * Combine the percent visible from several viewpoints using the configured aggregation.
+   * @param {number[]} values     Percent visible for each viewpoint
+   * @returns {number}
+   */
+  aggregatePercentVisible(values) {
+    return 1 - this.aggregatePercentCover(values.map(value => 1 - value));
+  }
+
+  /**
+   * Combine the percent cover from several viewpoints using the configured aggregation.
+   * @param {number[]} values     Percent cover for each viewpoint
+   * @returns {number}
+   */
+  aggregatePercentCover(values) {
+    return this.constructor.aggregate(values, this.#config.viewpointAggregation, this.#config.viewpointBestN);
+  }
+
+  /**
+   * Combine values using an aggregation type.
+   * @param {number[]} values                     Percent cover for each viewpoint
+   * @param {AGGREGATION_TYPES} [aggregation]     How to combine the values
+   * @param {number} [n=1]                        Number of values to use for BEST_N
+   * @returns {number} The combined value; 0 if no values
+   */
+  static aggregate(values, aggregation = this.AGGREGATION_TYPES.MIN, n = 1) {
+    const numValues = values.length;
+    if ( !numValues ) return 0;
+    const TYPES = this.AGGREGATION_TYPES;
+    switch ( aggregation ) {
+      case TYPES.MAX: return Math.max(...values);
+      case TYPES.MEAN: return values.reduce((acc, curr) => acc + curr, 0) / numValues;
+      case TYPES.MEDIAN: {
+        const sorted = values.toSorted((a, b) => a - b);
+        const mid = Math.floor(numValues * 0.5);
+        return numValues % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) * 0.5;
+      }
+      case TYPES.BEST_N: {
+        const sorted = values.toSorted((a, b) => a - b);
+        n = Math.clamp(Math.round(n), 1, numValues);
+        return sorted.slice(0, n).reduce((acc, curr) => acc + curr, 0) / n;
+      }
+      default: return Math.min(...values);
+    }
+  }
+
   /** @type {PercentVisibleResult} */
   _stereoResult;
 
@@ -297,6 +413,17 @@ export class ViewerLOS {
    * For a given set of viewpoint results, blend into a single result
    */
   _calculateStereo() {
+    // Blending combines the visible area from all viewpoints, which only makes sense for the least cover.
+    // Otherwise, aggregate the percent visible from each viewpoint.
+    if ( this.#config.viewpointAggregation !== this.constructor.AGGREGATION_TYPES.MIN ) {
+      this._stereoResult = undefined;
+      const values = this.viewpoints
+        .filter(vp => vp.lastResult && !this._viewpointBlockedByViewer(vp.viewpoint))
+        .map(vp => vp.lastResult.percentVisible);
+      this._percentVisible = this.aggregatePercentVisible(values);
+      return;
+    }
+
     const numViewpoints = this.viewpoints.length;
     this._stereoResult = this.viewpoints[0].lastResult
     for ( let i = 1; i < numViewpoints; i += 1 ) {
@@ -314,6 +441,9 @@ export class ViewerLOS {
    * @returns {boolean} True if blocked
    */
   _viewpointBlockedByViewer(pt) {
+    // Only tokens have a shape through which a viewpoint could look.
+    if ( !this.viewerIsToken ) return false;
+
     // If the viewpoint is outside the constrained border, treat as blocked.
     if ( this.constructor.testPointOutsideConstrainedBorder(pt, this.viewer, this.config.inset) ) return true;
 
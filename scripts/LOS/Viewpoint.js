@@ -27,8 +27,15 @@ export class Viewpoint {
     this.viewpoint = viewpoint;
   }
 
-  /** @type {Point3d} */
-  get viewpoint() { return this.viewerLOS.center.add(this.viewpointDiff); }
+  /**
+   * Location of the eye, kept one pixel below the ceiling of the viewer's level so the floor above blocks.
+   * @type {Point3d}
+   */
+  get viewpoint() {
+    const pt = this.viewerLOS.center.add(this.viewpointDiff);
+    pt.z = Math.min(pt.z, this.viewerLOS.ceilingZ - 1);
+    return pt;
+  }
 
   set viewpoint(value) { value.subtract(this.viewerLOS.center, this.viewpointDiff); }
 
@@ -7,6 +7,7 @@ CONFIG,
 
 import { DrawableObjectsInstancingWebGL2 } from "./DrawableObjects.js";
 import { GEOMETRY_LIB_ID } from "../../geometry/const.js";
+import { tileAlphaThreshold } from "../util.js";
 import * as twgl from "./twgl.js";
 
 // Set that is used for temporary values.
@@ -33,8 +34,12 @@ export class DrawableTileWebGL2 extends DrawableObjectsInstancingWebGL2 {
 
   // ----- NOTE: Uniforms ----- //
 
+  /** @type {WebGLUniformLocation} */
+  alphaValueLocation;
+
   _initializeUniforms() {
     super._initializeUniforms();
+    this.alphaValueLocation = this.gl.getUniformLocation(this.programInfo.program, "alphaValue");
     this._initializeTextures();
   }
 
@@ -80,6 +85,9 @@ export class DrawableTileWebGL2 extends DrawableObjectsInstancingWebGL2 {
       const id = this.trackers.model.facetIdMap.getKeyAtIndex(idx);
       if ( !id ) continue;
       this.gl.bindTexture(this.gl.TEXTURE_2D, this.textures.get(id));
+      const tile = this.getPlaceableFromId(id);
+      const alphaValue = tile ? tileAlphaThreshold(tile) : CONFIG[GEOMETRY_LIB_ID].CONFIG.alphaThreshold;
+      this.gl.uniform1f(this.alphaValueLocation, alphaValue);
       // uniforms.uTileTexture = this.textures.get(idx);
       // twgl.setUniforms(this.programInfo, uniforms);
       super._drawFilteredInstances(TMP_SET);
@@ -90,6 +98,6 @@ export class DrawableTileWebGL2 extends DrawableObjectsInstancingWebGL2 {
     // Still need to draw each one at a time so texture uniform can be changed.
 
     const instanceSet = Array.fromRange(this.trackers.indices.facetIdMap.maxIndex);
-    super._drawFilteredInstances(instanceSet);
+    this._drawFilteredInstances(instanceSet);
   }
 }
@@ -13,7 +13,7 @@ import { mix } from "../../geometry/mixwith.js";
 import { GEOMETRY_LIB_ID } from "../../geometry/const.js";
 
 import * as twgl from "./twgl.js";
-import { log } from "../util.js";
+import { log, hasCustomTokenShape } from "../util.js";
 
 // Set that is used for temporary values.
 // Not guaranteed to have any specific value.
@@ -64,6 +64,8 @@ const TokenShapeMixin = superclass => class extends superclass {
   }
 
   static isConstrained(token) {
+    // Rotated shapes and custom footprints are drawn as polygons, like constrained borders.
+    if ( hasCustomTokenShape(token) ) return true;
     return token.constrainedTokenBorder && !token.tokenBorder.equals(token.constrainedTokenBorder);
   }
 
@@ -8,6 +8,7 @@ CONST,
 
 import { DrawableObjectsInstancingWebGL2 } from "./DrawableObjects.js";
 import { GEOMETRY_LIB_ID } from "../../geometry/const.js";
+import { wallBlocksFromViewpoint } from "../util.js";
 
 export class DrawableWallWebGL2Abstract extends DrawableObjectsInstancingWebGL2 {
   /** @type {class} */
@@ -21,10 +22,19 @@ export class DrawableWallWebGL2Abstract extends DrawableObjectsInstancingWebGL2
   /** @type {CONST.WALL_RESTRICTION_TYPES} */
   get senseType() { return this.renderer.senseType; }
 
+  /**
+   * @param {Wall[]} walls
+   * @param {object} [opts]
+   * @param {string} [opts.senseType="sight"]     Wall restriction type to test, or "effect"
+   * @param {Point3d} [opts.viewpoint]            If provided, drop walls that do not block from this side
+   * @returns {Wall[]}
+   */
   filterObjects(walls, opts = {}) {
     opts.senseType ??= "sight";
     walls = super.filterObjects(walls);
-    return walls.filter(wall => !(wall.isOpen || wall.document[opts.senseType] === CONST.WALL_SENSE_TYPES.NONE));
+    walls = walls.filter(wall => !(wall.isOpen || wall.edge[opts.senseType] === CONST.WALL_SENSE_TYPES.NONE));
+    if ( opts.viewpoint ) walls = walls.filter(wall => wallBlocksFromViewpoint(wall, opts.viewpoint));
+    return walls;
   }
 
   /**
@@ -54,7 +64,7 @@ export class DrawableWallWebGL2 extends DrawableWallWebGL2Abstract {
   filterObjects(walls, opts = {}) {
     opts.senseType ??= "sight";
     const { isTerrain, isDirectional } = this.constructor;
-    walls = super.filterObjects(walls)
+    walls = super.filterObjects(walls, opts);
     return walls.filter(wall => !(isTerrain(wall, opts) || isDirectional(wall)));
   }
 }
@@ -69,7 +79,7 @@ export class DrawableTerrainWallWebGL2 extends DrawableWallWebGL2Abstract {
   filterObjects(walls, opts = {}) {
     opts.senseType ??= "sight";
     const { isTerrain, isDirectional } = this.constructor;
-    walls = super.filterObjects(walls)
+    walls = super.filterObjects(walls, opts);
     return walls.filter(wall => isTerrain(wall, opts) && !isDirectional(wall));
   }
 }
@@ -84,7 +94,7 @@ export class DrawableDirectionalWallWebGL2 extends DrawableWallWebGL2Abstract {
   filterObjects(walls, opts = {}) {
     opts.senseType ??= "sight";
     const { isTerrain, isDirectional } = this.constructor;
-    walls = super.filterObjects(walls)
+    walls = super.filterObjects(walls, opts);
     return walls.filter(wall => !isTerrain(wall, opts) && isDirectional(wall));
   }
 }
@@ -99,7 +109,7 @@ export class DrawableDirectionalTerrainWallWebGL2 extends DrawableWallWebGL2Abst
   filterObjects(walls, opts = {}) {
     opts.senseType ??= "sight";
     const { isTerrain, isDirectional } = this.constructor;
-    walls = super.filterObjects(walls)
+    walls = super.filterObjects(walls, opts);
     return walls.filter(wall => isTerrain(wall, opts) && isDirectional(wall));
   }
 }
@@ -84,6 +84,8 @@ export class RenderObstaclesWebGL2 {
 
   get senseType() { return this.#senseType; }
 
+  set senseType(value) { this.#senseType = value; }
+
   constructor({ webGL2, senseType = "sight", debugViewNormals = false, useSceneBackground = false } = {}) {
     this.#debugViewNormals = debugViewNormals;
     this.#senseType = senseType;
@@ -411,11 +413,13 @@ export class RenderObstaclesWebGL2 {
 
   renderObstacles(obstacles, { frame, clear = false, useStencil = false } = {}) {
     // Sort the obstacles into drawables.
+    // Walls with a cover direction are dropped if the camera is on the non-blocking side.
+    const filterOpts = { senseType: this.senseType, viewpoint: this.camera.cameraPosition };
     let hasObstacles = false;
     this.drawableObstacles.forEach(drawable => {
       drawable.clearInstances();
       drawable
-        .filterObjects(obstacles, { senseType: this.senseType })
+        .filterObjects(obstacles, { ...filterOpts })
         .forEach(placeable => drawable.addPlaceableToInstanceSet(placeable));
       hasObstacles ||= drawable.numObjectsToDraw;
     });
@@ -424,7 +428,7 @@ export class RenderObstaclesWebGL2 {
     this.drawableTerrain.forEach(drawable => {
       drawable.clearInstances();
       drawable
-        .filterObjects(obstacles)
+        .filterObjects(obstacles, { ...filterOpts })
         .forEach(placeable => drawable.addPlaceableToInstanceSet(placeable));
       hasTerrain ||= drawable.numObjectsToDraw;
     });
@@ -15,10 +15,9 @@ layout (std140) uniform Material {
   layout (std140) Tile {
     uniform sampler2D uTileTexture;
   };
-  uniform float alphaValue; // Mark tile pixels less than this alpha as clear.
 */
   uniform sampler2D uTileTexture;
-  const float alphaValue = 0.75; // Mark tile pixels less than this alpha as clear.
+  uniform float alphaValue; // Mark tile pixels less than this alpha as clear. Set per tile.
 #endif
 
 out vec4 fragColor;
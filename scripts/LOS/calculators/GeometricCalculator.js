@@ -13,6 +13,7 @@ import { Settings } from "../../settings.js";
 // LOS folder
 import { PercentVisibleCalculatorAbstract, PercentVisibleResult } from "./PercentVisibleCalculator.js";
 import { TILE_THRESHOLD_SHAPE_OPTIONS } from "../const.js";
+import { tileHasCustomAlphaThreshold } from "../util.js";
 import { Camera } from "../Camera.js";
 import { DebugVisibilityViewerArea3dPIXI } from "../DebugVisibilityViewer.js";
 
@@ -72,6 +73,7 @@ export class PercentVisibleGeometricResult extends PercentVisibleResult {
     out = this.clone();
     out.data.targetPaths = this.data.targetPaths.union(other.data.targetPaths);
     out.data.visibleTargetPaths = this.data.visibleTargetPaths.union(other.data.visibleTargetPaths);
+    out.rayTransmittance = Math.max(this.rayTransmittance, other.rayTransmittance);
     return out;
   }
 }
@@ -79,6 +81,8 @@ export class PercentVisibleGeometricResult extends PercentVisibleResult {
 export class PercentVisibleCalculatorGeometric extends PercentVisibleCalculatorAbstract {
   static resultClass = PercentVisibleGeometricResult;
 
+  static workerCapable = true; // Approximated by the points lattice on the target faces.
+
   /** @type {Camera} */
   camera = new Camera({
     glType: "webGL2",
@@ -103,11 +107,19 @@ export class PercentVisibleCalculatorGeometric extends PercentVisibleCalculatorA
     if ( result.visibility === PercentVisibleResult.VISIBILITY.NONE ) return result; // Outside of radius.
     result.visibility = PercentVisibleResult.VISIBILITY.MEASURED;
 
+    // Tile shapes are built using the global alpha threshold, so test tiles with their own threshold by ray,
+    // as the points algorithms do.
+    const tiles = this.occlusionTester.obstacles.tiles;
+    const alphaThresholdTiles = [...tiles].filter(tile => tileHasCustomAlphaThreshold(tile));
+    alphaThresholdTiles.forEach(tile => tiles.delete(tile));
+
     this._constructPerspectiveTargetPolygons();
     this._constructPerspectiveObstaclePolygons();
     this._constructObstaclePaths();
     result.data.targetPaths = this._constructTargetPath();
     result.data.blockingPaths = this._constructObstaclePaths();
+    result.rayTransmittance = this._rayTransmittance(this.findCoverVolumes(), alphaThresholdTiles);
+    alphaThresholdTiles.forEach(tile => tiles.add(tile));
     return result;
   }
 
@@ -303,7 +315,7 @@ export class PercentVisibleCalculatorGeometric extends PercentVisibleCalculatorA
     const { walls, terrainWalls, proximateWalls, reverseProximateWalls, tokens, tiles, regions } = this.occlusionTester.obstacles;
 
     // If the proximity threshold is met, this edge excluded from perception calculations.
-    const senseType = this._config.senseType;
+    const senseType = this.senseType;
     const viewpoint = this.viewpoint;
     proximateWalls.forEach(w => { if ( w.edge.applyThreshold(senseType, viewpoint) ) proximateWalls.delete(w); });
     reverseProximateWalls.forEach(w => { if ( w.edge.applyThreshold(senseType, viewpoint) ) proximateWalls.delete(w); });
@@ -0,0 +1,228 @@
+/* globals
+foundry,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+// Base folder
+import { Settings } from "../../settings.js";
+
+// Calculator
+import { PercentVisiblePointsResultAbstract, PercentVisibleCalculatorPointsAbstract } from "./PointsCalculator.js";
+
+// LOS folder
+import { DebugVisibilityViewerArea3dPIXI } from "../DebugVisibilityViewer.js";
+import { SmallBitSet } from "../SmallBitSet.js";
+import { spacesUnderToken, gridSpaceCorners, tokenGridCorners } from "../shapes_under_token.js";
+
+// Geometry
+import { Point3d } from "../../geometry/3d/Point3d.js";
+import { Draw } from "../../geometry/Draw.js";
+
+/*
+Grid corners algorithm, following the dnd5e DMG:
+"To determine whether a target has cover against an attack or other effect on a grid, choose a corner
+of the attacker's space or the point of origin of an area of effect. Then trace imaginary lines from that
+corner to every corner of any one square the target occupies. If one or two of those lines are blocked
+by an obstacle (including a creature), the target has half cover. If three or four of those lines are
+blocked but the attack can still reach the target (such as when the target is behind an arrow slit),
+the target has three-quarters cover."
+
+Each surface is a grid space under the target. Its points are the space corners followed by the space center.
+The center is used only to test whether the attack can still reach the target when every corner is blocked.
+*/
+
+export class PercentVisibleGridCornersResult extends PercentVisiblePointsResultAbstract {
+
+  data = {
+    unobscured: [],       // Visible and unobscured.
+    visible: [],          // Visible at this viewpoint but possibly obscured.
+    numPoints: [],        // Total points for this surface: corners plus the center.
+    viewpoint: null,      // Attacker corner used for the result.
+  };
+
+  clone() {
+    const out = super.clone();
+    out.data.viewpoint = this.data.viewpoint?.clone() ?? null;
+    return out;
+  }
+
+  get percentVisible() {
+    // The best target space determines the cover.
+    const { unobscured, numPoints } = this.data;
+    let maxPercent = 0;
+    for ( let i = 0, iMax = unobscured.length; i < iMax; i += 1 ) {
+      const bs = unobscured[i];
+      if ( !bs ) continue; // Skipped this space.
+      const nCorners = numPoints[i] - 1;
+      let nBlocked = nCorners;
+      for ( let j = 0; j < nCorners; j += 1 ) if ( bs.has(j) ) nBlocked -= 1;
+      const centerBlocked = !bs.has(nCorners);
+      const cover = PercentVisibleCalculatorGridCorners.coverForBlockedLines(nBlocked, nCorners, centerBlocked);
+      maxPercent = Math.max(maxPercent, 1 - cover);
+      if ( maxPercent >= 1 ) break;
+    }
+    return maxPercent;
+  }
+}
+
+/**
+ * Handle the grid corners algorithm.
+ * Tests lines from each corner of the viewer's grid spaces to the corners of each grid space under the target.
+ * Uses the viewer corner that gives the best visibility.
+ */
+export class PercentVisibleCalculatorGridCorners extends PercentVisibleCalculatorPointsAbstract {
+  static resultClass = PercentVisibleGridCornersResult;
+
+  static BitSetClass = SmallBitSet;
+
+  /**
+   * Percent cover for each grid cover category.
+   * @type {enum<number>}
+   */
+  static GRID_COVER = {
+    NONE: 0,
+    HALF: 0.5,
+    THREE_QUARTERS: 0.75,
+    FULL: 1,
+  };
+
+  /**
+   * Cover for a target space given the number of blocked lines from an attacker corner.
+   * Up to half the lines blocked is half cover; more is three-quarters cover.
+   * If all lines are blocked, full cover if the line to the space center is also blocked.
+   * @param {number} nBlocked           Number of blocked corner lines
+   * @param {number} nLines             Number of corner lines tested
+   * @param {boolean} centerBlocked     Whether the line to the space center is blocked
+   * @returns {number} One of GRID_COVER
+   */
+  static coverForBlockedLines(nBlocked, nLines, centerBlocked = true) {
+    const GRID_COVER = this.GRID_COVER;
+    if ( !nBlocked ) return GRID_COVER.NONE;
+    if ( nBlocked >= nLines ) return centerBlocked ? GRID_COVER.FULL : GRID_COVER.THREE_QUARTERS;
+    if ( nBlocked > nLines * 0.5 ) return GRID_COVER.THREE_QUARTERS;
+    return GRID_COVER.HALF;
+  }
+
+  /**
+   * Corners of the viewer grid spaces, at the viewpoint elevation.
+   * If the viewer is not a token, the viewpoint itself.
+   * @type {Point3d[]}
+   */
+  get viewerCorners() {
+    const viewpoint = this.viewpoint;
+    if ( !(this.viewer instanceof foundry.canvas.placeables.Token) ) return [viewpoint.clone()];
+    return tokenGridCorners(this.viewer, viewpoint.z);
+  }
+
+  /**
+   * Corners followed by the center for each grid space under the target.
+   * @type {Point3d[][]}
+   */
+  get targetPoints() {
+    const z = this.targetLocation.z;
+    return spacesUnderToken(this.target).map(space => {
+      const center = space.getBounds().center;
+      return [...gridSpaceCorners(space, z), new Point3d(center.x, center.y, z)];
+    });
+  }
+
+  /** @type {null} No surfaces; each grid space is always tested. */
+  get targetSurfaces() { return null; }
+
+  /**
+   * A line is blocked if an obstacle occludes it or if cover volumes together block more than half of it.
+   * @param {Point3d} pt
+   * @returns {boolean} True if occluded.
+   */
+  pointIsOccluded(pt) {
+    return super.pointIsOccluded(pt) || (this._coverVolumes.length > 0 && this.pointTransmittance(pt) < 0.5);
+  }
+
+  /**
+   * Also include obstacles between each viewer corner and the target.
+   * The obstacles are otherwise found only for the line from the viewpoint.
+   */
+  initializeView(opts) {
+    super.initializeView(opts);
+    if ( !(this.viewer instanceof foundry.canvas.placeables.Token) || !this.target ) return;
+    const occlusionTester = this.occlusionTester;
+    const combined = {};
+    const addObstacles = () => Object.entries(occlusionTester.obstacles).forEach(([key, obstacleSet]) => {
+      combined[key] ??= new Set();
+      obstacleSet.forEach(o => combined[key].add(o));
+    });
+
+    addObstacles();
+    const viewpoint = this.viewpoint.clone();
+    for ( const corner of this.viewerCorners ) {
+      this.viewpoint = corner;
+      occlusionTester.frustum.rebuild({ viewpoint: corner, target: this.target });
+      occlusionTester.update();
+      this._filterObstacles();
+      addObstacles();
+    }
+    this.viewpoint = viewpoint;
+    occlusionTester.frustum.rebuild({ viewpoint, target: this.target });
+    occlusionTester.update();
+    this._filterObstacles();
+    for ( const [key, obstacleSet] of Object.entries(occlusionTester.obstacles) ) {
+      combined[key]?.forEach(o => obstacleSet.add(o));
+    }
+  }
+
+  /**
+   * Test the target spaces from each viewer corner and keep the corner with the best visibility.
+   * @param {Point3d[][]} points
+   * @param {null} surfaces
+   * @returns {PercentVisibleGridCornersResult}
+   */
+  _testAllSurfaces(points, surfaces) {
+    const viewpoint = this.viewpoint.clone();
+    let bestResult;
+    let bestPercent = -1;
+    for ( const corner of this.viewerCorners ) {
+      this.viewpoint = corner;
+      const result = super._testAllSurfaces(points, surfaces);
+      result.data.viewpoint = corner;
+      const percent = result.percentVisible;
+      if ( percent > bestPercent ) {
+        bestResult = result;
+        bestPercent = percent;
+      }
+      if ( bestPercent >= 1 ) break;
+    }
+    this.viewpoint = viewpoint;
+    return bestResult ?? super._testAllSurfaces(points, surfaces);
+  }
+
+  // ----- NOTE: Debug ----- //
+
+  /**
+   * Draw the lines from the chosen viewer corner to the target corners.
+   * Blue lines are unblocked; red lines are blocked. The line to the space center is dashed.
+   */
+  _drawDebugPoints(result, debugDraw) {
+    const colors = Draw.COLORS;
+    const { unobscured, numPoints, viewpoint } = result.data;
+    const targetPoints = this.targetPoints;
+    const segment = { a: viewpoint ?? this.viewpoint, b: null };
+    debugDraw.point(segment.a, { color: colors.orange, radius: 3 });
+    for ( let i = 0, iMax = unobscured.length; i < iMax; i += 1 ) {
+      const bs = unobscured[i];
+      if ( !bs ) continue;
+      const pts = targetPoints[i];
+      const nCorners = numPoints[i] - 1;
+      for ( let j = 0; j <= nCorners; j += 1 ) {
+        segment.b = pts[j];
+        const color = bs.has(j) ? colors.blue : colors.red;
+        if ( j === nCorners ) debugDraw.segment(segment, { color, dashLength: 10, gapLength: 10 });
+        else debugDraw.segment(segment, { color });
+      }
+    }
+  }
+}
+
+export class DebugVisibilityViewerGridCorners extends DebugVisibilityViewerArea3dPIXI {
+  algorithm = Settings.KEYS.LOS.TARGET.TYPES.GRID_CORNERS;
+}
@@ -1,14 +1,24 @@
 /* globals
 canvas,
 CONFIG,
+CONST,
 foundry,
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
 import { MODULE_ID } from "../../const.js";
-import { GEOMETRY_LIB_ID } from "../../geometry/const.js";
-import { approximateClamp } from "../util.js";
+import { GEOMETRY_LIB_ID, GEOMETRY_ID } from "../../geometry/const.js";
+import {
+  approximateClamp,
+  wallBlocksFromViewpoint,
+  isSoftObstacle,
+  viewerLocation,
+  regionCoverVolumes,
+  coverVolumeTransmittance,
+  tileRayIsOccluded,
+  isFloor,
+  floorIsBetween } from "../util.js";
 import { NULL_SET } from "../../geometry/util.js";
 import { ObstacleOcclusionTest } from "../../geometry/ObstacleOcclusionTest.js";
 import { Point3d } from "../../geometry/3d/Point3d.js";
@@ -32,8 +42,9 @@ import { Frustum } from "../../geometry/3d/Frustum.js";
  * @typedef {object} CalculatorConfig    Configuration settings passed to viewpoints
  * @property {BlockingConfig} blocking                    Do various canvas objects block?
  * @property {boolean} largeTarget                        Use special handling for targets larger than grid square
- * @property {CONST.WALL_RESTRICTION_TYPES} senseType     Type of source (light, sight, etc.)
+ * @property {string} senseType     Type of source (light, sight, etc.) or "effect". See SENSE_TYPES
  * @property {boolean} testLighting            Should the illuminated target shape be used?
+ * @property {boolean} softObstacles           Do obstacles flagged as soft cover block?
  */
 
 
@@ -56,6 +67,14 @@ export class PercentVisibleResult {
 
   visibility = this.constructor.VISIBILITY.MEASURED;
 
+  /**
+   * Fraction of the visible area let through by obstacles tested per ray,
+   * such as cover volumes and tiles with their own alpha threshold.
+   * Set by calculators that measure area rather than individual rays.
+   * @type {number}
+   */
+  rayTransmittance = 1;
+
   static defaultConfiguration = {
     largeTarget: false,
   };
@@ -86,6 +105,7 @@ export class PercentVisibleResult {
     const out = new this.constructor(this.target, this._config);
     Object.assign(out.data, structuredClone(this.data));
     out.visibility = this.visibility;
+    out.rayTransmittance = this.rayTransmittance;
     return out;
   }
 
@@ -132,7 +152,48 @@ export class PercentVisibleResult {
 
   get percentVisible() {
     if ( ~this.visibility ) return this.visibility;
-    return approximateClamp(this.visibleArea / this.targetArea, 0, 1, 1e-02);
+    return approximateClamp(this.visibleArea * this.rayTransmittance / this.targetArea, 0, 1, 1e-02);
+  }
+
+  // ----- NOTE: Error bound ----- //
+
+  /**
+   * Standard normal quantile for the confidence interval. 1.96 for 95%.
+   * @type {number}
+   */
+  static CONFIDENCE_Z = 1.96;
+
+  /**
+   * Number of discrete samples, such as points or pixels, from which the percent visible was measured.
+   * Infinite for results measured exactly, such as by area.
+   * @type {number}
+   */
+  get sampleCount() { return Number.POSITIVE_INFINITY; }
+
+  /**
+   * Half-width of the approximate confidence interval for the percent visible.
+   * Treats the samples as drawn at random from the target, and is never less than half the
+   * step between possible results, as moving a pixel can change a single sample.
+   * Zero for results that are fully visible, not visible, or measured exactly.
+   * @type {number}
+   */
+  get errorBound() {
+    const n = this.sampleCount;
+    if ( ~this.visibility || !Number.isFinite(n) ) return 0;
+    if ( !n ) return 1;
+    const p = this.percentVisible;
+    const stdErr = Math.sqrt(p * (1 - p) / n);
+    return Math.min(Math.max(this.constructor.CONFIDENCE_Z * stdErr, 0.5 / n), 1);
+  }
+
+  /**
+   * Confidence interval for the percent visible, using errorBound.
+   * @type {{ low: number, high: number }}
+   */
+  get confidenceInterval() {
+    const p = this.percentVisible;
+    const err = this.errorBound;
+    return { low: Math.max(p - err, 0), high: Math.min(p + err, 1) };
   }
 
   /**
@@ -215,12 +276,13 @@ export class PercentVisibleCalculatorAbstract {
     tokenShapeType: "tokenBorder", // constrainedTokenBorder, litTokenBorder, brightLitTokenBorder
     largeTarget: false,
     radius: null, // Default is to use the viewer's vision lightRadius or ∞.
+    softObstacles: true, // If false, obstacles flagged as soft cover are ignored.
     debug: false,
   };
 
   /** @type {BlockingConfig} */
   static defaultBlockingConfiguration = {
-    senseType: "sight", /** @type {CONST.WALL_RESTRICTION_TYPES} */
+    senseType: "sight", /** @type {CONST.WALL_RESTRICTION_TYPES|"effect"} */
     walls: true,
     tiles: true,
     regions: true,
@@ -278,6 +340,9 @@ export class PercentVisibleCalculatorAbstract {
 
   get radius() { return this._config.radius ?? this.viewer.vision?.lightRadius ?? Number.POSITIVE_INFINITY; }
 
+  /** @type {CONST.WALL_RESTRICTION_TYPES|"effect"} */
+  get senseType() { return this.occlusionTester._config.senseType ?? "sight"; }
+
   get tokensBlock() {
     const cfg = this.occlusionTester._config
     return cfg.tokens.dead || cfg.tokens.live;
@@ -290,7 +355,7 @@ export class PercentVisibleCalculatorAbstract {
 
   // ----- NOTE: Basic property getters / setters ---- //
 
-  /** @type {Token} */
+  /** @type {Viewer} */
   #viewer;
 
   get viewer() { return this.#viewer; }
@@ -298,9 +363,8 @@ export class PercentVisibleCalculatorAbstract {
   set viewer(value) {
     this.#viewer = value;
 
-    // Default the viewpoint to the center of the token.
-    const method = value instanceof foundry.canvas.placeables.Token ? "fromTokenCenter" : "fromPointSource";
-    Point3d[method](value, this.#viewpoint);
+    // Default the viewpoint to the center of the token, or the eye location of another viewer.
+    viewerLocation(value, this.#viewpoint);
   }
 
   /** @type {Token} */
@@ -354,6 +418,85 @@ export class PercentVisibleCalculatorAbstract {
       target: this.target,
     });
     this.occlusionTester.update();
+    this._filterObstacles();
+  }
+
+  /**
+   * Remove obstacles that do not block for this calculation:
+   * - walls that do not restrict the sense type, such as walls that do not block line of effect;
+   * - walls that, per their cover direction flag, do not block from the current viewpoint;
+   * - soft cover obstacles, if the config excludes them;
+   * - the viewer itself, if it is a tile or other placeable that could otherwise block;
+   * - regions with cover volumes, which block only through those volumes. See findCoverVolumes.
+   * - tiles and regions marked as floors that do not lie between the viewpoint and the target.
+   * Done here so that every algorithm sees the same set of obstacles.
+   */
+  _filterObstacles() {
+    const obstacles = this.occlusionTester.obstacles;
+    const { walls, terrainWalls, proximateWalls, reverseProximateWalls } = obstacles;
+    const viewpoint = this.viewpoint;
+    const senseType = this.senseType;
+
+    // A tile or other placeable acting as the viewer does not block its own view.
+    if ( !(this.viewer instanceof foundry.canvas.placeables.Token) ) {
+      Object.values(obstacles).forEach(obstacleSet => obstacleSet.delete(this.viewer));
+    }
+    obstacles.regions.forEach(r => { if ( regionCoverVolumes(r).length ) obstacles.regions.delete(r); });
+    if ( this.target ) {
+      for ( const obstacleSet of [obstacles.tiles, obstacles.regions] ) {
+        obstacleSet.forEach(o => { if ( isFloor(o) && !floorIsBetween(o, viewpoint, this.target) ) obstacleSet.delete(o); });
+      }
+    }
+    for ( const wallSet of [walls, terrainWalls, proximateWalls, reverseProximateWalls] ) {
+      wallSet.forEach(w => {
+        if ( w.edge[senseType] === CONST.WALL_SENSE_TYPES.NONE
+          || !wallBlocksFromViewpoint(w, viewpoint) ) wallSet.delete(w);
+      });
+    }
+
+    if ( this._config.softObstacles ) return;
+    for ( const obstacleSet of Object.values(obstacles) ) {
+      obstacleSet.forEach(o => { if ( isSoftObstacle(o) ) obstacleSet.delete(o); });
+    }
+  }
+
+  /**
+   * Cover volumes that could block for the current calculation.
+   * Like other regions, none block if the config excludes regions, and soft ones only if it includes soft obstacles.
+   * @returns {CoverVolume[]}
+   */
+  findCoverVolumes() {
+    if ( !this.occlusionTester._config.regions ) return [];
+    const softObstacles = this._config.softObstacles;
+    return canvas.regions.placeables
+      .filter(region => softObstacles || !isSoftObstacle(region))
+      .flatMap(region => regionCoverVolumes(region));
+  }
+
+  /**
+   * Average fraction of each ray to an unoccluded target point that passes through the cover volumes
+   * and is not blocked by the given tiles.
+   * For calculators that measure area, so that these obstacles reduce only the visible portion of the target.
+   * Tests the points on the target faces used by the per-pixel algorithm.
+   * @param {CoverVolume[]} volumes
+   * @param {Tile[]} [tiles]      Tiles removed from the obstacles, tested at their own alpha threshold
+   * @returns {number} Between 0 and 1
+   */
+  _rayTransmittance(volumes, tiles = []) {
+    if ( !(volumes.length || tiles.length) ) return 1;
+    const { viewpoint, occlusionTester } = this;
+    const facePoints = this.target[GEOMETRY_LIB_ID][GEOMETRY_ID].facePoints;
+    const direction = new Point3d();
+    let nUnoccluded = 0;
+    let transmitted = 0;
+    for ( const pt of [facePoints.top, facePoints.bottom, ...facePoints.sides].flat() ) {
+      pt.subtract(viewpoint, direction);
+      if ( occlusionTester.rayIsOccluded(viewpoint, direction) ) continue;
+      nUnoccluded += 1;
+      if ( tiles.some(tile => tileRayIsOccluded(tile, viewpoint, direction)) ) continue;
+      transmitted += coverVolumeTransmittance(volumes, viewpoint, direction);
+    }
+    return nUnoccluded ? transmitted / nUnoccluded : 1;
   }
 
   get targetBorder() { return CONFIG[GEOMETRY_LIB_ID].CONFIG.constrainTokens ? this.target.constrainedTokenBorder: this.target.tokenBorder; }
@@ -453,6 +596,32 @@ export class PercentVisibleCalculatorAbstract {
     return { dim: dimResult, bright: brightResult };
   }
 
+  /* ----- NOTE: Web worker ----- */
+
+  /**
+   * Can LOSWorkerPool run the test for this calculator?
+   * @type {boolean}
+   */
+  static workerCapable = false;
+
+  /**
+   * How the worker combines target surfaces: the best surface ("max") or all surfaces together ("sum").
+   * @type {"max"|"sum"}
+   */
+  static workerCombine = "sum";
+
+  /**
+   * Points on the target tested by the worker, grouped by surface.
+   * By default, the points lattice on the target faces that face the viewpoint.
+   * @returns {Point3d[][]}
+   */
+  workerTargetPoints() {
+    const { faces, facePoints } = this.target[GEOMETRY_LIB_ID][GEOMETRY_ID];
+    const surfaces = [faces.top, faces.bottom, ...faces.sides];
+    const points = [facePoints.top, facePoints.bottom, ...facePoints.sides];
+    return points.filter((_pts, i) => surfaces[i].isFacing(this.viewpoint));
+  }
+
   /* ----- NOTE: Debug ----- */
 
   /**
@@ -9,6 +9,7 @@ PIXI,
 // Base folder
 import { MODULE_ID } from "../../const.js";
 import { TRACKER_IDS } from "../const.js";
+import { tileHasCustomAlphaThreshold, tileRayIsOccluded, coverVolumeTransmittance } from "../util.js";
 import { Settings } from "../../settings.js";
 import { GEOMETRY_LIB_ID, GEOMETRY_ID } from "../../geometry/const.js";
 
@@ -78,6 +79,7 @@ export class PercentVisiblePointsResultAbstract extends PercentVisibleResult {
     unobscured: [],       // Visible and unobscured.
     visible: [],          // Visible at this viewpoint but possibly obscured.
     numPoints: [],        // Total points for this surface.
+    transmittance: [],    // Fraction of each point's ray let through by cover volumes; null if no volumes.
   };
 
   logData() {
@@ -111,7 +113,29 @@ export class PercentVisiblePointsResultAbstract extends PercentVisibleResult {
 
   get largeTargetArea() { return this.totalTargetArea; }
 
-  get visibleArea() { return this.data.unobscured.reduce((acc, curr) => acc + (curr?.cardinality || 0), 0); }
+  get visibleArea() {
+    let total = 0;
+    for ( let i = 0, iMax = this.data.unobscured.length; i < iMax; i += 1 ) total += this.surfaceVisibleCount(i);
+    return total;
+  }
+
+  /**
+   * Unobscured points of a surface, each weighted by the fraction of its ray that passes through cover volumes.
+   * @param {number} i    Surface index
+   * @returns {number}
+   */
+  surfaceVisibleCount(i) {
+    const bs = this.data.unobscured[i];
+    if ( !bs ) return 0;
+    const transmittance = this.data.transmittance[i];
+    if ( !transmittance ) return bs.cardinality;
+    let n = 0;
+    for ( let j = 0, jMax = this.data.numPoints[i]; j < jMax; j += 1 ) if ( bs.has(j) ) n += transmittance[j];
+    return n;
+  }
+
+  /** @type {number} */
+  get sampleCount() { return this.targetArea; }
 
   /**
    * Blend this result with another result, taking the maximum values at each test location.
@@ -129,11 +153,13 @@ export class PercentVisiblePointsResultAbstract extends PercentVisibleResult {
         out.data.unobscured[i].union(other.data.unobscured[i]);
         out.data.visible[i].union(other.data.visible[i]);
         out.data.numPoints[i] = Math.max(out.data.numPoints[i], other.data.numPoints[i]);
+        out.data.transmittance[i] = blendTransmittance(this.data.transmittance[i], other.data.transmittance[i], Math.max);
       }
       else if ( other.data.unobscured[i] ) { // this.data for index i is empty.
         out.data.unobscured[i] = other.data.unobscured[i].clone();
         out.data.visible[i] = other.data.visible[i].clone();
         out.data.numPoints[i] = other.data.numPoints[i];
+        out.data.transmittance[i] = other.data.transmittance[i]?.slice() ?? null;
       } // Else other.data for index i is empty.
     }
     return out;
@@ -155,6 +181,7 @@ export class PercentVisiblePointsResultAbstract extends PercentVisibleResult {
         out.data.unobscured[i].intersection(other.data.unobscured[i]);
         out.data.visible[i].intersection(other.data.visible[i]);
         out.data.numPoints[i] = Math.min(out.data.numPoints[i], other.data.numPoints[i]);
+        out.data.transmittance[i] = blendTransmittance(this.data.transmittance[i], other.data.transmittance[i], Math.min);
 
       } else if ( this.data.unobscured[i] ) {
         // Other data slot is empty, so this one should be made empty as well.
@@ -187,9 +214,30 @@ export class PercentVisibleCalculatorPointsAbstract extends PercentVisibleCalcul
     testSurfaceVisibility: true,
   };
 
+  /**
+   * Tiles with their own alpha threshold, tested separately from the occlusion tester.
+   * @type {Tile[]}
+   */
+  _alphaThresholdTiles = [];
+
+  /**
+   * Cover volumes for the current calculation, which block a portion of each ray through them.
+   * @type {CoverVolume[]}
+   */
+  _coverVolumes = [];
+
   _calculate() {
     // console.debug("PointsCalculator|_calculate");
-    return this._testAllSurfaces(this.targetPoints, this.targetSurfaces);
+    // The occlusion tester uses the global alpha threshold, so test tiles with a custom threshold separately.
+    const tiles = this.occlusionTester.obstacles.tiles;
+    this._alphaThresholdTiles = [...tiles].filter(tile => tileHasCustomAlphaThreshold(tile));
+    this._alphaThresholdTiles.forEach(tile => tiles.delete(tile));
+    this._coverVolumes = this.findCoverVolumes();
+    const result = this._testAllSurfaces(this.targetPoints, this.targetSurfaces);
+    this._alphaThresholdTiles.forEach(tile => tiles.add(tile));
+    this._alphaThresholdTiles = [];
+    this._coverVolumes = [];
+    return result;
   }
 
   /**
@@ -205,12 +253,14 @@ export class PercentVisibleCalculatorPointsAbstract extends PercentVisibleCalcul
     result.data.numPoints = points.map(pts => pts.length);
     result.data.unobscured.length = n;
     result.data.visible.length = n;
+    result.data.transmittance.length = n;
     for ( let i = 0; i < n; i += 1 ) {
       const surface = surfaces[i];
       if ( testSurfaceVisibility && !this.surfaceIsVisible(surface) ) continue;
-      const { unobscured, visible } = this._testPointsForSurface(surface, points[i]);
+      const { unobscured, visible, transmittance } = this._testPointsForSurface(surface, points[i]);
       result.data.unobscured[i] = unobscured;
       result.data.visible[i] = visible;
+      result.data.transmittance[i] = transmittance;
     }
     return result;
   }
@@ -235,6 +285,7 @@ export class PercentVisibleCalculatorPointsAbstract extends PercentVisibleCalcul
     // console.debug("PointsCalculator|_testPointsForSurface");
     const unobscured = new this.constructor.BitSetClass();
     const visible = new this.constructor.BitSetClass();
+    const transmittance = this._coverVolumes.length ? new Float32Array(targetPoints.length) : null;
     const radius2 = this.radius ** 2;
     //this.occlusionTester._initialize(this);
     for ( let i = 0, n = targetPoints.length; i < n; i += 1 ) {
@@ -245,9 +296,10 @@ export class PercentVisibleCalculatorPointsAbstract extends PercentVisibleCalcul
 
       if ( this.pointIsOccluded(pt) ) continue;
       unobscured.add(i);
+      if ( transmittance ) transmittance[i] = this.pointTransmittance(pt);
     }
 
-    return { unobscured, visible };
+    return { unobscured, visible, transmittance };
   }
 
   pointIsVisible(pt, radius2 = this.radius ** 2) {
@@ -264,7 +316,18 @@ export class PercentVisibleCalculatorPointsAbstract extends PercentVisibleCalcul
   pointIsOccluded(pt) {
     // Is it occluded from the camera/viewer?
     pt.subtract(this.viewpoint, this.#rayDirection);
-    return this.occlusionTester.rayIsOccluded(this.viewpoint, this.#rayDirection);
+    return this.occlusionTester.rayIsOccluded(this.viewpoint, this.#rayDirection)
+      || this._alphaThresholdTiles.some(tile => tileRayIsOccluded(tile, this.viewpoint, this.#rayDirection));
+  }
+
+  /**
+   * Fraction of the ray between the viewpoint and a target point that passes through the cover volumes.
+   * @param {Point3d} pt
+   * @returns {number} Between 0 (blocked) and 1 (unobstructed)
+   */
+  pointTransmittance(pt) {
+    pt.subtract(this.viewpoint, this.#rayDirection);
+    return coverVolumeTransmittance(this._coverVolumes, this.viewpoint, this.#rayDirection);
   }
 
   // ----- NOTE: Debug ----- //
@@ -411,11 +474,28 @@ export class PercentVisiblePointsResult extends PercentVisiblePointsResultAbstra
     for ( let i = 0, iMax = unobscured.length; i < iMax; i += 1 ) {
       const bs = unobscured[i];
       if ( !bs ) continue; // Skipped this face/group.
-      maxPercent = Math.max(maxPercent, bs.cardinality / numPoints[i]);
+      maxPercent = Math.max(maxPercent, this.surfaceVisibleCount(i) / numPoints[i]);
       if ( maxPercent >= 1 ) break;
     }
     return maxPercent;
   }
+
+  /**
+   * Points of the surface with the most visible points, which alone determines the percent visible.
+   * @type {number}
+   */
+  get sampleCount() {
+    const { unobscured, numPoints } = this.data;
+    let maxPercent = -1;
+    let n = 0;
+    for ( let i = 0, iMax = unobscured.length; i < iMax; i += 1 ) {
+      const bs = unobscured[i];
+      if ( !bs || !numPoints[i] ) continue;
+      const percent = this.surfaceVisibleCount(i) / numPoints[i];
+      if ( percent > maxPercent ) [maxPercent, n] = [percent, numPoints[i]];
+    }
+    return n;
+  }
 }
 
 
@@ -424,6 +504,10 @@ export class PercentVisibleCalculatorPoints extends PercentVisibleCalculatorPoin
 
   static BitSetClass = SmallBitSet;
 
+  static workerCapable = true;
+
+  static workerCombine = "max"; // As with PercentVisiblePointsResult, the best surface wins.
+
   static defaultConfiguration = {
     ...super.defaultConfiguration,
     targetPointIndex: 1, // Center only
@@ -460,6 +544,9 @@ export class PercentVisibleCalculatorPoints extends PercentVisibleCalculatorPoin
     });
   }
 
+  /** @returns {Point3d[][]} The same points used on the main thread. */
+  workerTargetPoints() { return this.targetPoints; }
+
   /**
    * Get polygons representing all grids under a token.
    * @param {Token} token
@@ -496,6 +583,21 @@ export class DebugVisibilityViewerPoints extends DebugVisibilityViewerArea3dPIXI
 //   }
 }
 
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Combine the cover volume transmittance of two results for a surface.
+ * A missing array means no cover volumes, so every point is fully let through.
+ * @param {Float32Array|null} a
+ * @param {Float32Array|null} b
+ * @param {function} fn             Math.max or Math.min
+ * @returns {Float32Array|null}
+ */
+function blendTransmittance(a, b, fn) {
+  if ( !(a && b) ) return fn === Math.max ? null : (a ?? b)?.slice() ?? null;
+  return a.map((t, j) => fn(t, b[j]));
+}
+
 /*
 Point3d = CONFIG.GeometryLib.threeD.Point3d
 Draw = CONFIG.GeometryLib.Draw
@@ -68,6 +68,9 @@ export class PercentVisibleWebGL2Result extends PercentVisibleResult {
 
   get visibleArea() { return this.targetArea - this.blockedArea; }
 
+  /** @type {number} Target pixels rendered */
+  get sampleCount() { return this.targetArea; }
+
   /**
    * Blend this result with another result, taking the maximum values at each test location.
    * Used to treat viewpoints as "eyes" in which 2+ viewpoints are combined to view an object.
@@ -85,6 +88,7 @@ export class PercentVisibleWebGL2Result extends PercentVisibleResult {
     if ( this.data.blocked ) out.data.blocked.and(other.data.target);
     if ( this.data.blockedCount != null ) out.data.blockedCount = Math.min(this.data.blockedCount, other.data.blockedCount);
     if ( this.data.targetCount != null ) out.data.blockedCount = Math.max(this.data.targetCount, other.data.targetCount);
+    out.rayTransmittance = Math.max(this.rayTransmittance, other.rayTransmittance);
     return out;
   }
 }
@@ -137,7 +141,7 @@ export class PercentVisibleCalculatorWebGL2 extends PercentVisibleCalculatorAbst
     if ( this.#initialized ) return;
     await super.initialize();
     const size = this.renderTextureSize;
-    this.renderer = new RenderObstaclesWebGL2({ webGL2: this.constructor.webGL2, senseType: this.config.senseType });
+    this.renderer = new RenderObstaclesWebGL2({ webGL2: this.constructor.webGL2, senseType: this.senseType });
     await this.renderer.initialize();
     this._initializeFramebuffer();
     this.redPixelCounter.initialize(size, size);
@@ -205,6 +209,7 @@ export class PercentVisibleCalculatorWebGL2 extends PercentVisibleCalculatorAbst
     if ( !this.#initialized ) return result.makeFullyNotVisible();
     result.visibility = PercentVisibleResult.VISIBILITY.MEASURED;
 
+    this.renderer.senseType = this.senseType;
     this.renderer.prerender();
     const { viewpoint, target, targetLocation } = this;
     const { useRenderTexture, pixelCounterType } = CONFIG[MODULE_ID];
@@ -240,6 +245,7 @@ export class PercentVisibleCalculatorWebGL2 extends PercentVisibleCalculatorAbst
       lastResult.data.blockedCount = res.redBlocked;
       lastResult.data.targetCount = res.red
     }
+    lastResult.rayTransmittance = this._rayTransmittance(this.findCoverVolumes());
     return lastResult;
   }
 
@@ -4,7 +4,8 @@ Hooks
 */
 "use strict";
 
-import { MODULE_ID } from "../const.js";
+import { MODULE_ID, FLAGS as COVER_FLAGS } from "../const.js";
+import { FLAGS } from "./const.js";
 
 import { WallGeometry } from "../geometry/placeable_geometry/WallGeometry.js";
 import { TokenGeometry } from "../geometry/placeable_geometry/TokenGeometry.js";
@@ -94,13 +95,26 @@ export const LOS_CONFIG = {
   // Handled at base level: debug
 }
 
+/**
+ * Count of updates to each placeable type, incremented alongside each placeable's updateId.
+ * Used to tell whether any obstacle of a type changed since a calculation was cached.
+ * @type {object<number>}
+ */
+export const OBSTACLE_VERSIONS = {
+  Wall: 0,
+  Tile: 0,
+  Token: 0,
+  Region: 0,
+};
+
 Hooks.once("canvasReady", function() {
 
   // Register basic watchers for placeables.
-  const updateFn = placeable => {
+  const updateFn = docName => placeable => {
     const obj = placeable[MODULE_ID] ??= {}
     obj.updateId ??= 0;
     obj.updateId += 1;
+    OBSTACLE_VERSIONS[docName] += 1;
   }
   const docKeys = {
     Wall: new Set([
@@ -109,20 +123,35 @@ Hooks.once("canvasReady", function() {
       ...WallGeometry.TRACKER_TYPES.restriction,
       ...WallGeometry.TRACKER_TYPES.door,
       ...WallGeometry.TRACKER_TYPES.threshold,
+      `flags.${MODULE_ID}.${FLAGS.WALL.COVER_DIRECTION}`,
+      `flags.${MODULE_ID}.${FLAGS.WALL.EFFECT_RESTRICTION}`,
+      `flags.${MODULE_ID}.${FLAGS.SOFT_COVER}`,
     ]),
     Tile: new Set([
       ...TileGeometry.TRACKER_TYPES.position,
       ...TileGeometry.TRACKER_TYPES.scale,
       ...TileGeometry.TRACKER_TYPES.rotation,
+      `flags.${MODULE_ID}.${FLAGS.FLOOR}`,
+      `flags.${MODULE_ID}.${FLAGS.SOFT_COVER}`,
+      `flags.${MODULE_ID}.${FLAGS.TILE.COVER_OPACITY}`,
+      `flags.${MODULE_ID}.${FLAGS.TILE.ALPHA_THRESHOLD}`,
     ]),
     Token: new Set([
       ...TokenGeometry.TRACKER_TYPES.position,
       ...TokenGeometry.TRACKER_TYPES.scale,
       ...TokenGeometry.TRACKER_TYPES.shape,
+      "rotation",
+      `flags.${MODULE_ID}.${FLAGS.TOKEN.ROTATE_SHAPE}`,
+      `flags.${MODULE_ID}.${FLAGS.TOKEN.FOOTPRINT}`,
+      `flags.${MODULE_ID}.${FLAGS.SOFT_COVER}`,
+      `flags.${MODULE_ID}.${COVER_FLAGS.COVER.MAX_GRANT}`,
     ]),
     Region: new Set([
       ...RegionGeometry.TRACKER_TYPES.elevation,
       ...RegionGeometry.TRACKER_TYPES.shapes,
+      `flags.${MODULE_ID}.${FLAGS.FLOOR}`,
+      `flags.${MODULE_ID}.${FLAGS.SOFT_COVER}`,
+      `flags.${MODULE_ID}.${FLAGS.REGION.HEAVILY_OBSCURED}`,
     ]),
   };
   const id = "updateCounter";
@@ -130,7 +159,7 @@ Hooks.once("canvasReady", function() {
   const PlaceableUpdateWatcher = geometryTracking.PlaceableUpdateWatcher;
   for ( const [docName, keys] of Object.entries(docKeys) ) {
     const watcher = PlaceableUpdateWatcher.getWatcher(docName);
-    watcher.register("update", id, updateFn, keys);
+    watcher.register("update", id, updateFn(docName), keys);
     watcher.activate();
   }
 
@@ -10,6 +10,112 @@ export const FLAGS = {
     NAME: "customShapeName",
     OFFSET: "customShapeOffset",
   },
+
+  /**
+   * Obstacle (wall, tile, region, or token) provides soft cover: it hinders attacks but does not block them.
+   * Calculators can exclude these obstacles so that hard and soft cover can be measured separately.
+   * @type {boolean}
+   */
+  SOFT_COVER: "softCover",
+
+  /**
+   * Height, in grid units above its elevation, from which a light, sound, or tile views as an attacker.
+   * If undefined, CONFIG.tokencover.viewerEyeHeights is used for the placeable type.
+   * @type {number}
+   */
+  EYE_HEIGHT: "eyeHeight",
+
+  /**
+   * Tile or region is a floor or ceiling between levels. It blocks only when it lies between the viewpoint
+   * and the target in 3d, never for a viewer or target standing on it.
+   * @type {boolean}
+   */
+  FLOOR: "floor",
+
+  SCENE: {
+    /**
+     * Elevations, in grid units, of the floor of each level in the scene, separated by spaces or commas.
+     * E.g., "0 10 20" for a ground floor, upper floor, and roof. Each level extends up to the next floor.
+     * Floors snap to the floor of the level they are in, and viewpoints stay below the ceiling of their level.
+     * @type {string}
+     */
+    LEVELS: "levels",
+
+    /**
+     * Overrides of the world settings and cover rules for this scene. See CoverOverrides.js.
+     * @type {SceneCoverOverrides}
+     */
+    OVERRIDES: "overrides",
+  },
+
+  WALL: {
+    /**
+     * Side of the wall from which the wall blocks. Uses CONST.WALL_DIRECTIONS.
+     * BOTH (or undefined) blocks from either side. LEFT or RIGHT blocks only when the viewer is on that side.
+     * @type {CONST.WALL_DIRECTIONS}
+     */
+    COVER_DIRECTION: "coverDirection",
+
+    /**
+     * Restriction of the wall for line of effect. Uses CONST.WALL_SENSE_TYPES.
+     * If undefined, the wall's movement restriction is used.
+     * @type {CONST.WALL_SENSE_TYPES}
+     */
+    EFFECT_RESTRICTION: "effectRestriction",
+  },
+
+  REGION: {
+    /**
+     * Region is heavily obscured, such as by dense fog. Targets within it are concealed.
+     * @type {boolean}
+     */
+    HEAVILY_OBSCURED: "heavilyObscured",
+  },
+
+  TOKEN: {
+    /**
+     * Rotate the token shape with the token, for long tokens such as wagons and ships.
+     * @type {boolean}
+     */
+    ROTATE_SHAPE: "rotateShape",
+
+    /**
+     * Custom footprint polygon for the token, replacing its shape. Space-separated "x,y" pairs, each a fraction
+     * of the token width and height from its top left corner. E.g., "0.5,0 1,1 0,1" for a triangle.
+     * @type {string}
+     */
+    FOOTPRINT: "footprint",
+  },
+
+  TILE: {
+    /**
+     * Multiplier between 0 and 1 for the cover provided by the tile.
+     * E.g., 0.5 for a hedge that blocks roughly half of an attack.
+     * @type {number}
+     */
+    COVER_OPACITY: "coverOpacity",
+
+    /**
+     * Tile pixels with alpha below this value are treated as transparent.
+     * If undefined, the global alpha threshold is used.
+     * @type {number}
+     */
+    ALPHA_THRESHOLD: "alphaThreshold",
+  },
+};
+
+/**
+ * Wall restriction types that a calculator can test.
+ * "effect" is not a Foundry restriction type; walls supply it from their effect restriction flag.
+ * Used for spells and similar effects blocked by obstacles, like a glass window, that do not block sight.
+ * @type {enum<string>}
+ */
+export const SENSE_TYPES = {
+  SIGHT: "sight",
+  MOVE: "move",
+  SOUND: "sound",
+  LIGHT: "light",
+  EFFECT: "effect",
 };
 
 export const TRACKER_IDS = {
@@ -5,6 +5,8 @@ PIXI
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
+import { Point3d } from "../geometry/3d/Point3d.js";
+
 // Utility functions to measure squares and hexes under a token
 
 
@@ -110,6 +112,56 @@ export function hexesUnderToken(token) {
   return hexes;
 }
 
+/**
+ * Get the grid spaces under a token: squares, hexes, or the token border if gridless.
+ * @param {Token} token
+ * @returns {PIXI.Rectangle[]|PIXI.Polygon[]}
+ */
+export function spacesUnderToken(token) {
+  if ( canvas.grid.isGridless ) return [token.tokenBorder];
+  if ( canvas.grid.isHexagonal ) return hexesUnderToken(token);
+  return squaresUnderToken(token);
+}
+
+/**
+ * Get the corners of a grid space, inset slightly toward the space center.
+ * The inset keeps lines that only graze a wall endpoint from being treated as blocked.
+ * @param {PIXI.Rectangle|PIXI.Polygon} space
+ * @param {number} z                  Elevation of the corners, in pixel units
+ * @param {number} [inset=1]          Pixels to move each corner toward the center
+ * @returns {Point3d[]} Each point has a key property based on the corner location before inset
+ */
+export function gridSpaceCorners(space, z, inset = 1) {
+  const poly = space instanceof PIXI.Polygon ? space : space.toPolygon();
+  const center = space.getBounds().center;
+  const corners = [];
+  for ( const pt of poly.iteratePoints({ close: false }) ) {
+    const corner = new Point3d(pt.x, pt.y, z);
+    corner.key = `${Math.round(pt.x)}_${Math.round(pt.y)}`;
+    const dist = PIXI.Point.distanceBetween(pt, center);
+    if ( dist > inset ) {
+      corner.x += (center.x - pt.x) * (inset / dist);
+      corner.y += (center.y - pt.y) * (inset / dist);
+    }
+    corners.push(corner);
+  }
+  return corners;
+}
+
+/**
+ * Get the corners of all the grid spaces under a token, without duplicates where spaces meet.
+ * @param {Token} token
+ * @param {number} z                  Elevation of the corners, in pixel units
+ * @returns {Point3d[]} See gridSpaceCorners
+ */
+export function tokenGridCorners(token, z) {
+  const corners = new Map();
+  for ( const space of spacesUnderToken(token) ) {
+    for ( const corner of gridSpaceCorners(space, z) ) corners.set(corner.key, corner);
+  }
+  return [...corners.values()];
+}
+
 function hexes1(x = 0, y = 0) {
   const r1 = canvas.grid.grid.getRect(1, 1);
   return new PIXI.Point(canvas.grid.grid.getPolygon(x, y, r1.width, r1.height));
@@ -1,5 +1,7 @@
 /* globals
+canvas,
 CONFIG,
+CONST,
 foundry,
 PIXI,
 */
@@ -7,6 +9,8 @@ PIXI,
 "use strict";
 
 import { EPSILON, MODULE_ID } from "../const.js";
+import { FLAGS } from "./const.js";
+import { GEOMETRY_LIB_ID } from "../geometry/const.js";
 import { Point3d } from "../geometry/3d/Point3d.js";
 
 /**
@@ -491,6 +495,379 @@ export function sameSide(a, b, p0, p1) {
   return (foundry.utils.orient2dFast(a, b, p0) * foundry.utils.orient2dFast(a, b, p1)) > 0;
 }
 
+/**
+ * Test if a wall blocks from a given viewpoint, taking into account its cover direction flag.
+ * Walls without the flag block from both sides.
+ * @param {Wall} wall
+ * @param {Point} viewpoint
+ * @returns {boolean}
+ */
+export function wallBlocksFromViewpoint(wall, viewpoint) {
+  const direction = Number(getFlagFast(wall.document, MODULE_ID, FLAGS.WALL.COVER_DIRECTION) ?? 0);
+  if ( !direction ) return true;
+  const side = wall.edge.orientPoint(viewpoint);
+  return side === CONST.WALL_DIRECTIONS.BOTH || side === direction;
+}
+
+/**
+ * Restriction of a wall for line of effect.
+ * Uses the wall's effect restriction flag or, if not set, its movement restriction.
+ * @param {Wall} wall
+ * @returns {CONST.WALL_SENSE_TYPES}
+ */
+export function wallEffectRestriction(wall) {
+  const restriction = getFlagFast(wall.document, MODULE_ID, FLAGS.WALL.EFFECT_RESTRICTION);
+  return restriction == null || restriction === "" ? wall.document.move : Number(restriction);
+}
+
+/**
+ * Test if a placeable obstacle is flagged as providing soft cover.
+ * @param {Wall|Tile|Region|Token} placeable
+ * @returns {boolean}
+ */
+export function isSoftObstacle(placeable) {
+  return Boolean(getFlagFast(placeable.document, MODULE_ID, FLAGS.SOFT_COVER));
+}
+
+/**
+ * Is this region flagged as heavily obscured, concealing targets within it?
+ * @param {Region} region
+ * @returns {boolean}
+ */
+export function isHeavilyObscured(region) {
+  return Boolean(getFlagFast(region.document, MODULE_ID, FLAGS.REGION.HEAVILY_OBSCURED));
+}
+
+/**
+ * Cover opacity multiplier for a tile, between 0 and 1.
+ * @param {Tile} tile
+ * @returns {number}
+ */
+export function tileCoverOpacity(tile) {
+  const opacity = Number(getFlagFast(tile.document, MODULE_ID, FLAGS.TILE.COVER_OPACITY) ?? 1);
+  return Number.isFinite(opacity) ? Math.clamp(opacity, 0, 1) : 1;
+}
+
+/**
+ * Alpha threshold for a tile. Pixels with alpha below this value do not block.
+ * @param {Tile} tile
+ * @returns {number}
+ */
+export function tileAlphaThreshold(tile) {
+  const threshold = getFlagFast(tile.document, MODULE_ID, FLAGS.TILE.ALPHA_THRESHOLD);
+  return threshold == null ? CONFIG[GEOMETRY_LIB_ID].CONFIG.alphaThreshold : Math.clamp(Number(threshold), 0, 1);
+}
+
+/**
+ * Does this tile define its own alpha threshold, different from the global threshold?
+ * @param {Tile} tile
+ * @returns {boolean}
+ */
+export function tileHasCustomAlphaThreshold(tile) {
+  return tileAlphaThreshold(tile) !== CONFIG[GEOMETRY_LIB_ID].CONFIG.alphaThreshold;
+}
+
+/**
+ * Test whether a ray is blocked by a tile, using the tile's alpha threshold.
+ * @param {Tile} tile
+ * @param {Point3d} origin
+ * @param {Point3d} direction     Direction from the origin; the ray ends at origin + direction
+ * @returns {boolean}
+ */
+export function tileRayIsOccluded(tile, origin, direction) {
+  if ( !direction.z ) return false;
+  const elevationZ = CONFIG[GEOMETRY_LIB_ID].utils.gridUnitsToPixels(tile.document.elevation);
+  const t = (elevationZ - origin.z) / direction.z;
+  if ( t <= 0 || t >= 1 ) return false;
+  const pt = { x: origin.x + (direction.x * t), y: origin.y + (direction.y * t) };
+  return Boolean(tile.mesh?.containsCanvasPoint(pt, tileAlphaThreshold(tile)));
+}
+
+/**
+ * @typedef {object} CoverVolume
+ * @prop {Region} region
+ * @prop {number} bottomZ       Bottom of the volume, in pixel units
+ * @prop {number} topZ          Top of the volume, in pixel units
+ * @prop {number} strength      Portion of a ray through the volume that it blocks, between 0 and 1
+ */
+
+/**
+ * Cover volumes defined by the enabled cover volume behaviors of a region.
+ * A behavior without a bottom or top uses the region's.
+ * @param {Region} region
+ * @returns {CoverVolume[]}
+ */
+export function regionCoverVolumes(region) {
+  const type = `${MODULE_ID}.coverVolume`;
+  const { behaviors, elevation } = region.document;
+  const gridUnitsToPixels = CONFIG[GEOMETRY_LIB_ID].utils.gridUnitsToPixels;
+  const volumes = [];
+  for ( const behavior of behaviors ) {
+    if ( behavior.type !== type || behavior.disabled ) continue;
+    const { bottom, top, strength } = behavior.system;
+    const bottomE = bottom ?? elevation.bottom;
+    const topE = top ?? elevation.top;
+    volumes.push({
+      region,
+      bottomZ: bottomE == null ? Number.NEGATIVE_INFINITY : gridUnitsToPixels(bottomE),
+      topZ: topE == null ? Number.POSITIVE_INFINITY : gridUnitsToPixels(topE),
+      strength: Math.clamp(strength, 0, 1),
+    });
+  }
+  return volumes;
+}
+
+/**
+ * Test whether a ray passes through a cover volume.
+ * @param {CoverVolume} volume
+ * @param {Point3d} origin
+ * @param {Point3d} direction     Direction from the origin; the ray ends at origin + direction
+ * @returns {boolean}
+ */
+export function coverVolumeRayIsOccluded(volume, origin, direction) {
+  // Portion of the ray between the volume bottom and top.
+  let tMin = 0;
+  let tMax = 1;
+  if ( direction.z ) {
+    const t0 = (volume.bottomZ - origin.z) / direction.z;
+    const t1 = (volume.topZ - origin.z) / direction.z;
+    tMin = Math.max(tMin, Math.min(t0, t1));
+    tMax = Math.min(tMax, Math.max(t0, t1));
+  } else if ( origin.z < volume.bottomZ || origin.z > volume.topZ ) return false;
+  if ( tMin >= tMax ) return false;
+
+  // Split that portion where it crosses the region edges; each piece is either inside or outside.
+  const regionDoc = volume.region.document;
+  const b = { x: origin.x + direction.x, y: origin.y + direction.y };
+  const ts = [tMin, tMax];
+  for ( const poly of regionDoc.polygons ) {
+    const pts = poly.points;
+    const n = pts.length;
+    for ( let i = 0; i < n; i += 2 ) {
+      const j = (i + 2) % n;
+      const ix = foundry.utils.lineSegmentIntersection(origin, b,
+        { x: pts[i], y: pts[i + 1] }, { x: pts[j], y: pts[j + 1] });
+      if ( ix && ix.t0 > tMin && ix.t0 < tMax ) ts.push(ix.t0);
+    }
+  }
+  ts.sort((t0, t1) => t0 - t1);
+  const pt = new PIXI.Point();
+  for ( let i = 1; i < ts.length; i += 1 ) {
+    const t = (ts[i - 1] + ts[i]) * 0.5;
+    pt.set(origin.x + (direction.x * t), origin.y + (direction.y * t));
+    if ( regionDoc.polygonTree.testPoint(pt) ) return true;
+  }
+  return false;
+}
+
+/**
+ * Fraction of a ray that passes through the cover volumes.
+ * Each volume the ray passes through blocks its strength of what remains.
+ * @param {CoverVolume[]} volumes
+ * @param {Point3d} origin
+ * @param {Point3d} direction     Direction from the origin; the ray ends at origin + direction
+ * @returns {number} Between 0 (blocked) and 1 (unobstructed)
+ */
+export function coverVolumeTransmittance(volumes, origin, direction) {
+  let transmittance = 1;
+  for ( const volume of volumes ) {
+    if ( !volume.strength || !coverVolumeRayIsOccluded(volume, origin, direction) ) continue;
+    transmittance *= 1 - volume.strength;
+    if ( !transmittance ) return 0;
+  }
+  return transmittance;
+}
+
+/**
+ * Does the token use a custom footprint or rotate its shape?
+ * @param {Token} token
+ * @returns {boolean}
+ */
+export function hasCustomTokenShape(token) {
+  return Boolean(tokenShapeRotation(token) || parseTokenFootprint(token));
+}
+
+/**
+ * Token border adjusted for the token's custom footprint and shape rotation, if any.
+ * The footprint is placed within the token's bounds and then, like the default border, rotated about its center.
+ * @param {Token} token
+ * @param {PIXI.Rectangle|PIXI.Polygon} border    Border without the adjustments
+ * @returns {PIXI.Rectangle|PIXI.Polygon} The border if not adjusted
+ */
+export function tokenFootprint(token, border) {
+  const rotation = tokenShapeRotation(token);
+  const footprint = parseTokenFootprint(token);
+  if ( !(rotation || footprint) ) return border;
+
+  const { x, y, width, height } = border.getBounds();
+  const pts = footprint
+    ? footprint.map((f, i) => (i % 2) ? y + (f * height) : x + (f * width))
+    : [...border.toPolygon().points];
+  if ( rotation ) {
+    const cx = x + (width * 0.5);
+    const cy = y + (height * 0.5);
+    const theta = Math.toRadians(rotation);
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    for ( let i = 0, n = pts.length; i < n; i += 2 ) {
+      const dx = pts[i] - cx;
+      const dy = pts[i + 1] - cy;
+      pts[i] = cx + (dx * cos) - (dy * sin);
+      pts[i + 1] = cy + (dx * sin) + (dy * cos);
+    }
+  }
+  return new PIXI.Polygon(pts);
+}
+
+/**
+ * Rotation of the token shape, if the token is flagged to rotate its shape.
+ * @param {Token} token
+ * @returns {number} Degrees, or 0 if not rotated
+ */
+function tokenShapeRotation(token) {
+  if ( !getFlagFast(token.document, MODULE_ID, FLAGS.TOKEN.ROTATE_SHAPE) ) return 0;
+  return (token.document.rotation ?? 0) % 360;
+}
+
+/**
+ * Parse the custom footprint flag of a token.
+ * @param {Token} token
+ * @returns {number[]|null} Flat array of x, y fractions of the token size, or null if not valid
+ */
+function parseTokenFootprint(token) {
+  const str = getFlagFast(token.document, MODULE_ID, FLAGS.TOKEN.FOOTPRINT);
+  if ( !str || typeof str !== "string" ) return null;
+  const pairs = str.trim().split(/\s+/).map(pair => pair.split(",").map(Number));
+  if ( pairs.length < 3 || pairs.some(pair => pair.length !== 2 || !pair.every(Number.isFinite)) ) return null;
+  return pairs.flat();
+}
+
+/**
+ * Is this tile or region flagged as a floor or ceiling between levels?
+ * @param {Tile|Region} placeable
+ * @returns {boolean}
+ */
+export function isFloor(placeable) {
+  return Boolean(getFlagFast(placeable.document, MODULE_ID, FLAGS.FLOOR));
+}
+
+/** @type {{ str: string, floors: number[] }} */
+const LEVEL_FLOORS = { str: "", floors: [] };
+
+/**
+ * Elevations of the floor of each level defined for the scene, from lowest to highest.
+ * @param {Scene} [scene]
+ * @returns {number[]} Elevations in grid units; empty if the scene has no levels
+ */
+export function sceneLevelFloors(scene = canvas.scene) {
+  const str = scene ? getFlagFast(scene, MODULE_ID, FLAGS.SCENE.LEVELS) : undefined;
+  if ( !str || typeof str !== "string" ) return [];
+  if ( LEVEL_FLOORS.str !== str ) {
+    const floors = str.trim().split(/[\s,]+/).map(Number).filter(Number.isFinite);
+    LEVEL_FLOORS.str = str;
+    LEVEL_FLOORS.floors = [...new Set(floors)].sort((a, b) => a - b);
+  }
+  return LEVEL_FLOORS.floors;
+}
+
+/**
+ * Elevation of the ceiling of the level containing an elevation: the floor of the next level up.
+ * @param {number} z                  Elevation, in pixels
+ * @param {Scene} [scene]
+ * @returns {number} Elevation in pixels; infinite if no level is above
+ */
+export function levelCeilingZ(z, scene) {
+  const gridUnitsToPixels = CONFIG[GEOMETRY_LIB_ID].utils.gridUnitsToPixels;
+  for ( const floor of sceneLevelFloors(scene) ) {
+    const floorZ = gridUnitsToPixels(floor);
+    if ( floorZ > z + EPSILON ) return floorZ;
+  }
+  return Number.POSITIVE_INFINITY;
+}
+
+/**
+ * Elevation of the plane of a floor: a tile's elevation or a region's bottom, or its top if it has no bottom.
+ * If the scene defines levels, the plane snaps down to the floor of the level it is in.
+ * @param {Tile|Region} placeable
+ * @returns {number|undefined} Elevation in pixels; undefined if the region is unbounded
+ */
+export function floorPlaneZ(placeable) {
+  const doc = placeable.document;
+  const elevation = doc.documentName === "Region" ? (doc.elevation.bottom ?? doc.elevation.top) : doc.elevation;
+  if ( elevation == null || !Number.isFinite(elevation) ) return undefined;
+  let plane = elevation;
+  for ( const floor of sceneLevelFloors(doc.parent) ) {
+    if ( floor > elevation + EPSILON ) break;
+    plane = floor;
+  }
+  return CONFIG[GEOMETRY_LIB_ID].utils.gridUnitsToPixels(plane);
+}
+
+/**
+ * Does a floor lie between the viewpoint and some part of the target?
+ * The floor plane must separate the viewpoint from part of the target, and the floor bounds must overlap
+ * the area in which rays from the viewpoint to that part of the target cross the plane.
+ * @param {Tile|Region} placeable
+ * @param {Point3d} viewpoint
+ * @param {Token} target
+ * @returns {boolean}
+ */
+export function floorIsBetween(placeable, viewpoint, target) {
+  const planeZ = floorPlaneZ(placeable);
+  if ( planeZ == null ) return true;
+
+  // Part of the target farthest from the plane on the other side from the viewpoint.
+  const { topZ, bottomZ } = target;
+  let farZ;
+  if ( viewpoint.z > planeZ + EPSILON && bottomZ < planeZ - EPSILON ) farZ = bottomZ;
+  else if ( viewpoint.z < planeZ - EPSILON && topZ > planeZ + EPSILON ) farZ = topZ;
+  else return false;
+
+  // Rays cross the plane between the target bounds (at the plane) and their projection from farZ.
+  const { left, right, top, bottom } = target.tokenBorder.getBounds();
+  const t = (planeZ - viewpoint.z) / (farZ - viewpoint.z);
+  const xs = [left, right, viewpoint.x + ((left - viewpoint.x) * t), viewpoint.x + ((right - viewpoint.x) * t)];
+  const ys = [top, bottom, viewpoint.y + ((top - viewpoint.y) * t), viewpoint.y + ((bottom - viewpoint.y) * t)];
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const crossing = new PIXI.Rectangle(minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY);
+  return placeable.bounds.overlaps(crossing);
+}
+
+/**
+ * Eye height of a non-token viewer, such as a light, sound, or tile.
+ * @param {AmbientLight|AmbientSound|Tile} viewer
+ * @returns {number} Height in grid units above the viewer elevation
+ */
+export function viewerEyeHeight(viewer) {
+  const height = getFlagFast(viewer.document, MODULE_ID, FLAGS.EYE_HEIGHT);
+  if ( height != null && height !== "" ) return Number(height);
+  return CONFIG[MODULE_ID].viewerEyeHeights?.[viewer.document.documentName] ?? 0;
+}
+
+/**
+ * Location from which a viewer looks.
+ * Tokens look from their center; templates from their origin; a Point3d from itself.
+ * Lights and sounds look from their position, and tiles from their center, at their eye height.
+ * @param {Viewer} viewer
+ * @param {Point3d} [outPoint]      Point in which to store the location
+ * @returns {Point3d} The outPoint
+ */
+export function viewerLocation(viewer, outPoint = new Point3d()) {
+  const { Token, Tile, AmbientLight, AmbientSound } = foundry.canvas.placeables;
+  if ( viewer instanceof Point3d ) return outPoint.copyFrom(viewer);
+  if ( viewer instanceof Token ) return Point3d.fromTokenCenter(viewer, outPoint);
+  if ( !(viewer instanceof Tile || viewer instanceof AmbientLight || viewer instanceof AmbientSound) ) {
+    return Point3d.fromPointSource(viewer, outPoint);
+  }
+  const { x, y } = viewer instanceof Tile ? viewer.bounds.center : viewer.document;
+  const elevation = (viewer.document.elevation ?? 0) + viewerEyeHeight(viewer);
+  outPoint.x = x;
+  outPoint.y = y;
+  outPoint.z = CONFIG[GEOMETRY_LIB_ID].utils.gridUnitsToPixels(elevation);
+  return outPoint;
+}
+
 /**
  * Fast version of PlaceableDocument.getFlag that avoid calling getProperty.
  * Does not handle nested flags.
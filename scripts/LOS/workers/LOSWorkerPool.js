@@ -0,0 +1,423 @@
+/* globals
+canvas,
+CONFIG,
+PIXI,
+Worker,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "../../const.js";
+import { Settings } from "../../settings.js";
+import { FLAGS } from "../const.js";
+import { tileAlphaThreshold } from "../util.js";
+import { DocumentUpdateTracker } from "../UpdateTracker.js";
+
+// Patches for the worker pool
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * @typedef {object} LOSWorkerRequest
+ * Plain data describing one viewpoint to target calculation, sent to los_worker.js.
+ * @prop {number[]} viewpoint                     x, y, z of the viewpoint
+ * @prop {number[][]} surfaces                    For each target surface, flat x, y, z of its points
+ * @prop {number} radius2                         Points farther than this squared distance are not visible
+ * @prop {"max"|"sum"} combine                    Use the best surface or all surfaces together
+ * @prop {object<string, string[]>} obstacles     Ids of walls, terrainWalls, tiles, tokens, regions to test
+ * @prop {object<string, number>} opacity         Cover opacity for tokens and tiles that block only partially
+ * @prop {object[]} coverVolumes                  Region id, bottomZ, topZ, and strength of each cover volume
+ */
+
+/**
+ * Pool of web workers that run the points and geometric line-of-sight tests off the main thread.
+ * Obstacle geometry is serialized to each worker once and then kept in sync using
+ * DocumentUpdateTracker deltas, so requests need only list obstacle ids.
+ * Requests made in the same tick are batched into a single message per worker.
+ */
+export class LOSWorkerPool {
+  /**
+   * Document attributes that change the serialized geometry.
+   * @type {object<string, string[]>}
+   */
+  static WORKER_ATTRIBUTES = {
+    Wall: [
+      "c",
+      "flags.wall-height.top",
+      "flags.wall-height.bottom",
+      "flags.elevatedvision.elevation.top",
+      "flags.elevatedvision.elevation.bottom",
+    ],
+    Tile: [
+      "x",
+      "y",
+      "elevation",
+      "width",
+      "height",
+      "rotation",
+      "texture.src",
+      "texture.scaleX",
+      "texture.scaleY",
+      `flags.${MODULE_ID}.${FLAGS.TILE.ALPHA_THRESHOLD}`,
+    ],
+    Token: [
+      "x",
+      "y",
+      "elevation",
+      "width",
+      "height",
+      "shape",
+      "rotation",
+      `flags.${MODULE_ID}.${FLAGS.TOKEN.ROTATE_SHAPE}`,
+      `flags.${MODULE_ID}.${FLAGS.TOKEN.FOOTPRINT}`,
+    ],
+    Region: [
+      "elevation.bottom",
+      "elevation.top",
+      "shapes",
+    ],
+  };
+
+  /**
+   * Worker object type for each document type.
+   * @type {object<string, string>}
+   */
+  static OBJECT_TYPES = {
+    Wall: "walls",
+    Tile: "tiles",
+    Token: "tokens",
+    Region: "regions",
+  };
+
+  /** @type {LOSWorkerPool|undefined} */
+  static #instance;
+
+  /**
+   * The active pool, if the worker setting is enabled.
+   * @type {LOSWorkerPool|undefined}
+   */
+  static get instance() { return this.#instance; }
+
+  /**
+   * Start, restart, or stop the pool depending on the setting.
+   * @param {boolean} [enabled]     Defaults to the worker setting
+   */
+  static initialize(enabled = Settings.get(Settings.KEYS.LOS.TARGET.WORKER)) {
+    this.#instance?.destroy();
+    this.#instance = undefined;
+    if ( !enabled || !canvas.ready ) return;
+    this.#instance = new this(CONFIG[MODULE_ID].losWorkers);
+  }
+
+  /** @type {Worker[]} */
+  workers = [];
+
+  /** @type {object<string, DocumentUpdateTracker>} */
+  trackers = {};
+
+  /** @type {number} */
+  #batchId = 0;
+
+  /** @type {number} */
+  #nextWorker = 0;
+
+  /**
+   * Queued requests per batch sent to a worker.
+   * @type {Map<number, object[]>}
+   */
+  #pending = new Map();
+
+  /**
+   * Requests awaiting the end of this tick.
+   * @type {object[]}
+   */
+  #queued = [];
+
+  /**
+   * Bottom and top elevation of each token as last sent to the workers.
+   * Token height can change without a document update, such as when the token is prone.
+   * @type {Map<string, string>}
+   */
+  #tokenElevations = new Map();
+
+  /**
+   * @param {number} [numWorkers=1]
+   */
+  constructor(numWorkers = 1) {
+    for ( let i = 0; i < numWorkers; i += 1 ) {
+      const worker = new Worker(new URL("./los_worker.js", import.meta.url), { type: "module" });
+      worker.onmessage = this.#onMessage.bind(this);
+      worker.onerror = err => console.error(`${MODULE_ID}|LOSWorkerPool|worker error`, err);
+      this.workers.push(worker);
+    }
+    for ( const type of Object.keys(this.constructor.OBJECT_TYPES) ) {
+      this.trackers[type] = new DocumentUpdateTracker(type, this.constructor.WORKER_ATTRIBUTES[type]);
+    }
+    this.syncAll();
+  }
+
+  /**
+   * Send every obstacle in the scene to the workers, replacing any they have.
+   */
+  syncAll() {
+    this.#post({ type: "reset" });
+    this.#tokenElevations.clear();
+    for ( const [type, objectType] of Object.entries(this.constructor.OBJECT_TYPES) ) {
+      this.trackers[type].logDeltas();
+      const updates = placeableLayer(type).placeables.map(obj => this.#serialize(type, obj));
+      this.#post({ type: "sync", objectType, updates });
+    }
+  }
+
+  /**
+   * Send obstacles created, updated, or deleted since the last sync.
+   */
+  syncChanges() {
+    for ( const [type, objectType] of Object.entries(this.constructor.OBJECT_TYPES) ) {
+      const { changed, deleted } = this.trackers[type].logDeltas();
+      if ( !changed.length && !deleted.length ) continue;
+      const layer = placeableLayer(type);
+      const updates = changed
+        .map(id => layer.get(id))
+        .filter(Boolean)
+        .map(obj => this.#serialize(type, obj));
+      this.#post({ type: "sync", objectType, updates, deletions: deleted });
+    }
+  }
+
+  /**
+   * Queue a calculation. Calculations queued in the same tick are sent together.
+   * @param {LOSWorkerRequest} request
+   * @returns {Promise<number>} Percent visible, between 0 and 1
+   */
+  request(request) {
+    return new Promise((resolve, reject) => {
+      this.#queued.push({ request, resolve, reject });
+      if ( this.#queued.length === 1 ) queueMicrotask(() => this.#flush());
+    });
+  }
+
+  /**
+   * Stop the workers. Outstanding requests are rejected.
+   */
+  destroy() {
+    this.workers.forEach(worker => worker.terminate());
+    this.workers.length = 0;
+    const err = new Error(`${MODULE_ID}|LOSWorkerPool|destroyed`);
+    [...this.#pending.values(), this.#queued].flat().forEach(q => q.reject(err));
+    this.#pending.clear();
+    this.#queued = [];
+  }
+
+  /**
+   * Sync any changes and divide the queued requests between the workers.
+   */
+  #flush() {
+    const queued = this.#queued;
+    this.#queued = [];
+    if ( !queued.length ) return;
+    this.syncChanges();
+    this.#syncTokenElevations(queued);
+
+    const numWorkers = this.workers.length;
+    const batchSize = Math.ceil(queued.length / numWorkers);
+    for ( let i = 0; i < queued.length; i += batchSize ) {
+      const batch = queued.slice(i, i + batchSize);
+      const batchId = this.#batchId += 1;
+      this.#pending.set(batchId, batch);
+      const worker = this.workers[this.#nextWorker];
+      this.#nextWorker = (this.#nextWorker + 1) % numWorkers;
+      worker.postMessage({ type: "calculate", batchId, requests: batch.map(q => q.request) });
+    }
+  }
+
+  /**
+   * Resend tokens used by these requests whose height changed without a document update.
+   * @param {object[]} queued
+   */
+  #syncTokenElevations(queued) {
+    const ids = new Set(queued.flatMap(q => q.request.obstacles.tokens ?? []));
+    const updates = [];
+    for ( const id of ids ) {
+      const token = canvas.tokens.get(id);
+      if ( !token ) continue;
+      if ( this.#tokenElevations.get(id) === tokenElevationKey(token) ) continue;
+      updates.push(this.#serialize("Token", token));
+    }
+    if ( updates.length ) this.#post({ type: "sync", objectType: "tokens", updates });
+  }
+
+  /**
+   * Handle results or errors returned by a worker.
+   * @param {MessageEvent} event
+   */
+  #onMessage(event) {
+    const { type, batchId, results, message } = event.data;
+    const batch = this.#pending.get(batchId);
+    if ( !batch ) return;
+    this.#pending.delete(batchId);
+    if ( type === "error" ) {
+      const err = new Error(`${MODULE_ID}|LOSWorkerPool|${message}`);
+      batch.forEach(q => q.reject(err));
+      return;
+    }
+    batch.forEach((q, i) => q.resolve(results[i]));
+  }
+
+  /**
+   * Send a message to every worker.
+   * @param {object} msg
+   */
+  #post(msg) { this.workers.forEach(worker => worker.postMessage(msg)); }
+
+  /**
+   * Convert a placeable to the plain data used by the workers.
+   * @param {string} type     Document type
+   * @param {PlaceableObject} obj
+   * @returns {object}
+   */
+  #serialize(type, obj) {
+    switch ( type ) {
+      case "Wall": return serializeWall(obj);
+      case "Tile": return serializeTile(obj);
+      case "Region": return serializeRegion(obj);
+      case "Token": {
+        this.#tokenElevations.set(obj.id, tokenElevationKey(obj));
+        return serializeToken(obj);
+      }
+    }
+  }
+}
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Geometry is rebuilt for each scene.
+ */
+function canvasReady() { LOSWorkerPool.initialize(); }
+
+PATCHES.BASIC.HOOKS = { canvasReady };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Canvas layer holding placeables of a document type.
+ * @param {string} type
+ * @returns {PlaceablesLayer}
+ */
+function placeableLayer(type) {
+  switch ( type ) {
+    case "Wall": return canvas.walls;
+    case "Tile": return canvas.tiles;
+    case "Token": return canvas.tokens;
+    case "Region": return canvas.regions;
+  }
+}
+
+/**
+ * @param {Token} token
+ * @returns {string}
+ */
+function tokenElevationKey(token) { return `${token.bottomZ},${token.topZ}`; }
+
+/**
+ * @param {Wall} wall
+ * @returns {object}
+ */
+function serializeWall(wall) {
+  const { a, b } = wall.edge;
+  return {
+    id: wall.id,
+    a: { x: a.x, y: a.y },
+    b: { x: b.x, y: b.y },
+    bottomZ: wall.bottomZ ?? Number.NEGATIVE_INFINITY,
+    topZ: wall.topZ ?? Number.POSITIVE_INFINITY,
+  };
+}
+
+/**
+ * Tiles are sent as their bounds plus a coarse mask of the pixels at or above the tile alpha threshold.
+ * Mask resolution is set by CONFIG[MODULE_ID].losWorkerTileResolution.
+ * @param {Tile} tile
+ * @returns {object}
+ */
+function serializeTile(tile) {
+  const { x, y, width, height, rotation, elevation } = tile.document;
+  const bounds = PIXI.Rectangle.fromRotation(x, y, width, height, Math.toRadians(rotation));
+  const cols = CONFIG[MODULE_ID].losWorkerTileResolution;
+  const rows = cols;
+  const mask = new Uint8Array(cols * rows);
+  const threshold = tileAlphaThreshold(tile);
+  const cellW = bounds.width / cols;
+  const cellH = bounds.height / rows;
+  const pt = new PIXI.Point();
+  for ( let row = 0; row < rows; row += 1 ) {
+    for ( let col = 0; col < cols; col += 1 ) {
+      pt.set(bounds.x + ((col + 0.5) * cellW), bounds.y + ((row + 0.5) * cellH));
+      if ( tileContainsPoint(tile, pt, threshold) ) mask[(row * cols) + col] = 1;
+    }
+  }
+  return {
+    id: tile.id,
+    z: CONFIG.GeometryLib.utils.gridUnitsToPixels(elevation),
+    x: bounds.x,
+    y: bounds.y,
+    width: bounds.width,
+    height: bounds.height,
+    cols,
+    rows,
+    mask,
+  };
+}
+
+/**
+ * Does the tile block at this canvas point?
+ * Uses the tile texture if loaded; otherwise the tile rectangle.
+ * @param {Tile} tile
+ * @param {PIXI.Point} pt
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function tileContainsPoint(tile, pt, threshold) {
+  if ( tile.mesh ) return tile.mesh.containsCanvasPoint(pt, threshold);
+  const { x, y, width, height, rotation } = tile.document;
+  // Rotate the point into the unrotated tile rectangle, centered on the origin.
+  const angle = -Math.toRadians(rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = pt.x - (x + (width * 0.5));
+  const dy = pt.y - (y + (height * 0.5));
+  const localX = (dx * cos) - (dy * sin);
+  const localY = (dx * sin) + (dy * cos);
+  return Math.abs(localX) <= width * 0.5 && Math.abs(localY) <= height * 0.5;
+}
+
+/**
+ * @param {Token} token
+ * @returns {object}
+ */
+function serializeToken(token) {
+  const border = token.tokenBorder;
+  const poly = border instanceof PIXI.Polygon ? border : border.toPolygon();
+  return {
+    id: token.id,
+    polygons: [{ points: [...poly.points], isPositive: true }],
+    bottomZ: token.bottomZ,
+    topZ: token.topZ,
+  };
+}
+
+/**
+ * @param {Region} region
+ * @returns {object}
+ */
+function serializeRegion(region) {
+  const { elevation, polygons } = region.document;
+  const gridUnitsToPixels = CONFIG.GeometryLib.utils.gridUnitsToPixels;
+  return {
+    id: region.id,
+    polygons: polygons.map(poly => ({ points: [...poly.points], isPositive: poly.isPositive })),
+    bottomZ: elevation.bottom == null ? Number.NEGATIVE_INFINITY : gridUnitsToPixels(elevation.bottom),
+    topZ: elevation.top == null ? Number.POSITIVE_INFINITY : gridUnitsToPixels(elevation.top),
+  };
+}
@@ -0,0 +1,273 @@
+/* globals
+self,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+/*
+Web worker that tests rays from a viewpoint to target points against serialized obstacle geometry.
+Runs without Foundry, so obstacles arrive as plain objects from LOSWorkerPool and are kept here by id.
+Which obstacles apply to a given viewpoint is decided on the main thread; each request lists their ids.
+
+Messages received:
+- { type: "reset" }                                           Remove all obstacles.
+- { type: "sync", objectType, updates: object[], deletions: string[] }  Add, replace, or remove obstacles.
+- { type: "calculate", batchId, requests: LOSWorkerRequest[] }          Returns { type: "results", batchId, results }.
+
+Each ray is tested from the viewpoint to a target point. Walls, terrain walls (2+ crossed), and regions
+fully block. Tokens and tiles block according to their opacity; partially blocking obstacles multiply the
+transmittance of the ray, so two half-cover obstacles in a row let through a quarter of the ray.
+Cover volumes use the stored geometry of their region with their own bottom, top, and strength.
+*/
+
+const EPSILON = 1e-08;
+
+/**
+ * Serialized obstacles, by object type and then id.
+ * @type {object<string, Map<string, object>>}
+ */
+const OBSTACLES = {
+  walls: new Map(),
+  tiles: new Map(),
+  tokens: new Map(),
+  regions: new Map(),
+};
+
+self.onmessage = function(event) {
+  const msg = event.data;
+  switch ( msg.type ) {
+    case "reset": Object.values(OBSTACLES).forEach(m => m.clear()); break;
+    case "sync": sync(msg); break;
+    case "calculate": {
+      try {
+        const results = msg.requests.map(request => percentVisible(request));
+        self.postMessage({ type: "results", batchId: msg.batchId, results });
+      } catch ( err ) {
+        self.postMessage({ type: "error", batchId: msg.batchId, message: err.message });
+      }
+      break;
+    }
+  }
+};
+
+/**
+ * Store or remove obstacles of a given type.
+ * @param {object} msg
+ * @param {string} msg.objectType     walls, tiles, tokens, or regions
+ * @param {object[]} [msg.updates]    Serialized obstacles, each with an id
+ * @param {string[]} [msg.deletions]  Ids of obstacles to remove
+ */
+function sync({ objectType, updates = [], deletions = [] }) {
+  const map = OBSTACLES[objectType];
+  if ( !map ) return;
+  deletions.forEach(id => map.delete(id));
+  updates.forEach(data => map.set(data.id, data));
+}
+
+// ----- NOTE: Calculation ----- //
+
+/**
+ * Percent of the target visible from the viewpoint.
+ * @param {LOSWorkerRequest} request
+ * @returns {number} Between 0 and 1
+ */
+function percentVisible(request) {
+  const { viewpoint, surfaces, radius2, combine } = request;
+  const obstacles = lookupObstacles(request);
+  const [ax, ay, az] = viewpoint;
+  let total = 0;
+  let visible = 0;
+  let max = 0;
+  for ( const pts of surfaces ) {
+    const nPoints = pts.length / 3;
+    if ( !nPoints ) continue;
+    let surfaceVisible = 0;
+    for ( let i = 0; i < pts.length; i += 3 ) {
+      const dx = pts[i] - ax;
+      const dy = pts[i + 1] - ay;
+      const dz = pts[i + 2] - az;
+      if ( ((dx * dx) + (dy * dy) + (dz * dz)) > radius2 ) continue;
+      surfaceVisible += rayTransmittance(ax, ay, az, dx, dy, dz, obstacles);
+    }
+    total += nPoints;
+    visible += surfaceVisible;
+    max = Math.max(max, surfaceVisible / nPoints);
+  }
+  if ( combine === "max" ) return max;
+  return total ? visible / total : 0;
+}
+
+/**
+ * Retrieve the stored obstacles listed in the request, with the opacity for each token and tile.
+ * Cover volumes take the polygons of their stored region.
+ * @param {LOSWorkerRequest} request
+ * @returns {object}
+ */
+function lookupObstacles({ obstacles, opacity = {}, coverVolumes = [] }) {
+  const get = (objectType, ids = []) => ids.map(id => OBSTACLES[objectType].get(id)).filter(Boolean);
+  const withOpacity = obj => ({ obj, opacity: opacity[obj.id] ?? 1 });
+  return {
+    walls: get("walls", obstacles.walls),
+    terrainWalls: get("walls", obstacles.terrainWalls),
+    regions: get("regions", obstacles.regions),
+    tokens: get("tokens", obstacles.tokens).map(withOpacity),
+    tiles: get("tiles", obstacles.tiles).map(withOpacity),
+    coverVolumes: coverVolumes
+      .filter(volume => volume.strength && OBSTACLES.regions.has(volume.id))
+      .map(volume => ({ ...volume, polygons: OBSTACLES.regions.get(volume.id).polygons })),
+  };
+}
+
+/**
+ * Fraction of a ray that reaches its end point.
+ * @param {number} ax, ay, az     Ray origin
+ * @param {number} dx, dy, dz     Ray direction; the ray ends at origin + direction
+ * @param {object} obstacles      See lookupObstacles
+ * @returns {number} Between 0 (blocked) and 1 (unobstructed)
+ */
+function rayTransmittance(ax, ay, az, dx, dy, dz, obstacles) {
+  for ( const wall of obstacles.walls ) if ( wallIntersects(wall, ax, ay, az, dx, dy, dz) ) return 0;
+
+  let nTerrain = 0;
+  for ( const wall of obstacles.terrainWalls ) {
+    if ( wallIntersects(wall, ax, ay, az, dx, dy, dz) ) nTerrain += 1;
+    if ( nTerrain > 1 ) return 0;
+  }
+
+  for ( const region of obstacles.regions ) if ( prismIntersects(region, ax, ay, az, dx, dy, dz) ) return 0;
+
+  let transmittance = 1;
+  for ( const { obj, opacity } of obstacles.tokens ) {
+    if ( !opacity || !prismIntersects(obj, ax, ay, az, dx, dy, dz) ) continue;
+    transmittance *= 1 - opacity;
+    if ( !transmittance ) return 0;
+  }
+  for ( const { obj, opacity } of obstacles.tiles ) {
+    if ( !opacity || !tileIntersects(obj, ax, ay, az, dx, dy, dz) ) continue;
+    transmittance *= 1 - opacity;
+    if ( !transmittance ) return 0;
+  }
+  for ( const volume of obstacles.coverVolumes ) {
+    if ( !prismIntersects(volume, ax, ay, az, dx, dy, dz) ) continue;
+    transmittance *= 1 - volume.strength;
+    if ( !transmittance ) return 0;
+  }
+  return transmittance;
+}
+
+// ----- NOTE: Intersection tests ----- //
+
+/**
+ * Parameter along the ray at which it crosses a 2d segment, ignoring the ray end points.
+ * @returns {number|null}
+ */
+function segmentIntersectionT(ax, ay, dx, dy, cx, cy, ex, ey) {
+  const fx = ex - cx;
+  const fy = ey - cy;
+  const denom = (dx * fy) - (dy * fx);
+  if ( !denom ) return null; // Parallel.
+  const gx = cx - ax;
+  const gy = cy - ay;
+  const t = ((gx * fy) - (gy * fx)) / denom;
+  const u = ((gx * dy) - (gy * dx)) / denom;
+  if ( t <= EPSILON || t >= 1 - EPSILON || u < 0 || u > 1 ) return null;
+  return t;
+}
+
+/**
+ * Does the ray cross the wall between its bottom and top?
+ * @param {object} wall     { a: {x, y}, b: {x, y}, bottomZ, topZ }
+ * @returns {boolean}
+ */
+function wallIntersects(wall, ax, ay, az, dx, dy, dz) {
+  const t = segmentIntersectionT(ax, ay, dx, dy, wall.a.x, wall.a.y, wall.b.x, wall.b.y);
+  if ( t === null ) return false;
+  const z = az + (dz * t);
+  return z >= wall.bottomZ && z <= wall.topZ;
+}
+
+/**
+ * Does the ray pass through the horizontal plane of the tile at an opaque location?
+ * @param {object} tile     { z, x, y, width, height, cols, rows, mask }
+ * @returns {boolean}
+ */
+function tileIntersects(tile, ax, ay, az, dx, dy, dz) {
+  if ( !dz ) return false;
+  const t = (tile.z - az) / dz;
+  if ( t <= EPSILON || t >= 1 - EPSILON ) return false;
+  const x = ax + (dx * t) - tile.x;
+  const y = ay + (dy * t) - tile.y;
+  if ( x < 0 || y < 0 || x >= tile.width || y >= tile.height ) return false;
+  if ( !tile.mask ) return true;
+  const col = Math.floor(x * tile.cols / tile.width);
+  const row = Math.floor(y * tile.rows / tile.height);
+  return tile.mask[(row * tile.cols) + col] === 1;
+}
+
+/**
+ * Does the ray pass through the interior of a vertical prism?
+ * Used for tokens, regions, and cover volumes. Holes in the polygons are not part of the interior.
+ * @param {object} prism    { polygons: { points: number[], isPositive: boolean }[], bottomZ, topZ }
+ * @returns {boolean}
+ */
+function prismIntersects(prism, ax, ay, az, dx, dy, dz) {
+  // Portion of the ray between the prism bottom and top.
+  let tMin = EPSILON;
+  let tMax = 1 - EPSILON;
+  if ( dz ) {
+    const t0 = (prism.bottomZ - az) / dz;
+    const t1 = (prism.topZ - az) / dz;
+    tMin = Math.max(tMin, Math.min(t0, t1));
+    tMax = Math.min(tMax, Math.max(t0, t1));
+  } else if ( az < prism.bottomZ || az > prism.topZ ) return false;
+  if ( tMin >= tMax ) return false;
+
+  // Split that portion where it crosses polygon edges; each piece is either inside or outside.
+  const ts = [tMin, tMax];
+  for ( const { points } of prism.polygons ) {
+    const n = points.length;
+    for ( let i = 0; i < n; i += 2 ) {
+      const j = (i + 2) % n;
+      const t = segmentIntersectionT(ax, ay, dx, dy, points[i], points[i + 1], points[j], points[j + 1]);
+      if ( t !== null && t > tMin && t < tMax ) ts.push(t);
+    }
+  }
+  ts.sort((a, b) => a - b);
+  for ( let i = 1; i < ts.length; i += 1 ) {
+    const t = (ts[i - 1] + ts[i]) * 0.5;
+    if ( prismContains(prism, ax + (dx * t), ay + (dy * t)) ) return true;
+  }
+  return false;
+}
+
+/**
+ * Is the 2d point inside a positive polygon of the prism but not inside a hole?
+ * @returns {boolean}
+ */
+function prismContains(prism, x, y) {
+  let inside = false;
+  for ( const { points, isPositive } of prism.polygons ) {
+    if ( !polygonContains(points, x, y) ) continue;
+    if ( !isPositive ) return false;
+    inside = true;
+  }
+  return inside;
+}
+
+/**
+ * Even-odd test for a point in a polygon.
+ * @param {number[]} points     Flat array of polygon coordinates
+ * @returns {boolean}
+ */
+function polygonContains(points, x, y) {
+  let inside = false;
+  const n = points.length;
+  for ( let i = 0, j = n - 2; i < n; j = i, i += 2 ) {
+    const xi = points[i];
+    const yi = points[i + 1];
+    const xj = points[j];
+    const yj = points[j + 1];
+    if ( ((yi > y) !== (yj > y)) && (x < ((xj - xi) * (y - yi) / (yj - yi)) + xi) ) inside = !inside;
+  }
+  return inside;
+}
@@ -81,6 +81,8 @@ export function LOSViewerConfig() {
     viewpointIndex: pointIndexForSet(Settings.get(Settings.KEYS.LOS.VIEWER.POINTS)),
     viewpointInset: Settings.get(Settings.KEYS.LOS.VIEWER.INSET),
     threshold: Settings.get(Settings.KEYS.LOS.TARGET.PERCENT),
+    viewpointAggregation: Settings.get(Settings.KEYS.LOS.VIEWER.AGGREGATION),
+    viewpointBestN: Settings.get(Settings.KEYS.LOS.VIEWER.BEST_N),
     angle: true,
   };
 }
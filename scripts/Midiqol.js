@@ -4,13 +4,16 @@ fromUuid
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { coverAttackWorkflow } from "./CoverDialog.js";
+import { coverAttackWorkflow, removeAttackerCover } from "./CoverDialog.js";
 import { MODULE_ID, FLAGS } from "./const.js";
 
 // Patches for midiqol
 export const PATCHES = {};
 PATCHES.DND5E_MIDI = {}; // Only if midiqol is active.
 
+/** @type {Set<string>} */
+const ATTACK_ACTION_TYPES = new Set(["rsak", "rwak", "msak", "mwak"]);
+
 // ----- NOTE: Hooks ----- //
 
 /**
@@ -21,10 +24,13 @@ async function midiqolPrePreambleComplete(workflow) {
   const { token, targets, item } = workflow;
   if ( !targets?.size || !token ) return true;
 
-  // For DND5e, only apply cover for ranged attacks.
+  // For DND5e, only apply cover for attacks. Melee attacks use melee cover.
   const actionType = item?.system?.actionType;
   const template = workflow.templateUuid ? (await fromUuid(workflow.templateUuid))?.object : undefined;
-  if ( actionType !== "rsak" && actionType !== "rwak" && !template ) return true;
+  if ( !ATTACK_ACTION_TYPES.has(actionType) && !template ) return true;
+
+  // For saving throws, cover only provides a bonus to Dexterity saves.
+  if ( !ATTACK_ACTION_TYPES.has(actionType) && !saveCoverApplies(workflow) ) return true;
 
   // Construct dialogs and apply cover if needed.
   const attacker = {
@@ -32,15 +38,64 @@ async function midiqolPrePreambleComplete(workflow) {
     img: `${item.img}`
   };
   const coverFlags = FLAGS.DND5E.SPELL_CONFIG;
+  const senseType = item.getFlag(MODULE_ID, coverFlags.SENSE_TYPE) || undefined;
   if ( template && item.getFlag(MODULE_ID, coverFlags.USE_COVER) === coverFlags.CHOICES.TEMPLATE ) {
-    const out = await coverAttackWorkflow(template, targets, { actionType, attacker });
+    const templateOrigin = item.getFlag(MODULE_ID, coverFlags.TEMPLATE_ORIGIN) || undefined;
+    const out = await coverAttackWorkflow(template, targets, { actionType, attacker, senseType, templateOrigin });
     return Boolean(out);
   }
 
-  // If no template, then cover applies only for ranged spell attacks and ranged weapon attacks.
-  if ( !template && actionType !== "rsak" && actionType !== "rwak" ) return true;
-  const out = await coverAttackWorkflow(token, targets, { actionType, attacker });
+  // If no template, then cover applies only for spell and weapon attacks.
+  if ( !template && !ATTACK_ACTION_TYPES.has(actionType) ) return true;
+  const out = await coverAttackWorkflow(token, targets, { actionType, attacker, senseType });
   return Boolean(out);
 }
 
-PATCHES.DND5E_MIDI.HOOKS = { "midi-qol.prePreambleComplete": midiqolPrePreambleComplete };
+/**
+ * Hook events that fire after the attack roll, once the workflow completes if there is no attack roll,
+ * or when the workflow is aborted, cancelled, or cleaned up.
+ * Remove cover effects added to the attacker for the attack. Like the try/finally in dnd5e.js,
+ * every path out of the workflow removes them; removing them more than once does nothing.
+ */
+function midiqolWorkflowEnded(workflow) {
+  if ( workflow?.token ) removeAttackerCover(workflow.token);
+}
+
+PATCHES.DND5E_MIDI.HOOKS = {
+  "midi-qol.prePreambleComplete": midiqolPrePreambleComplete,
+  "midi-qol.AttackRollComplete": midiqolWorkflowEnded,
+  "midi-qol.RollComplete": midiqolWorkflowEnded,
+
+  // Workflow state hooks for the abort, cancel, and cleanup states.
+  "midi-qol.preAbort": midiqolWorkflowEnded,
+  "midi-qol.preCancel": midiqolWorkflowEnded,
+  "midi-qol.preCleanup": midiqolWorkflowEnded
+};
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Should cover apply to the saving throws, if any, called for by the workflow?
+ * Cover applies to Dexterity saves unless the item opts out. It does not apply to other saves.
+ * @param {Workflow} workflow
+ * @returns {boolean} True if cover applies or the workflow has no saving throw
+ */
+function saveCoverApplies(workflow) {
+  const abilities = saveAbilities(workflow);
+  if ( !abilities.size ) return true;
+  if ( !abilities.has("dex") ) return false;
+  return workflow.item.getFlag(MODULE_ID, FLAGS.DND5E.SPELL_CONFIG.SAVE_COVER) ?? true;
+}
+
+/**
+ * Abilities for the saving throws called for by the workflow.
+ * dnd5e v4 activities store a set of abilities; earlier items store a single ability.
+ * @param {Workflow} workflow
+ * @returns {Set<string>}
+ */
+function saveAbilities(workflow) {
+  const ability = workflow.activity?.save?.ability ?? workflow.item?.system?.save?.ability;
+  if ( !ability ) return new Set();
+  if ( typeof ability === "string" ) return new Set([ability]);
+  return new Set(ability);
+}
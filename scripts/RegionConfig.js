@@ -0,0 +1,34 @@
+/* globals
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+// Patches for Region configuration rendering.
+
+import { MODULE_ID, TEMPLATES } from "./const.js";
+import { FLAGS } from "./LOS/const.js";
+import { injectConfigurationV2 } from "./util.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * Hook renderRegionConfig to add the soft cover, floor, and heavily obscured options.
+ * @param {RegionConfig} app
+ * @param {HTMLElement} html
+ * @param {object} context
+ */
+function renderRegionConfig(app, html, context) {
+  const data = {
+    ...context,
+    [MODULE_ID]: {
+      isRegion: true,
+      softCover: Boolean(app.document.getFlag(MODULE_ID, FLAGS.SOFT_COVER)),
+      floor: Boolean(app.document.getFlag(MODULE_ID, FLAGS.FLOOR)),
+      heavilyObscured: Boolean(app.document.getFlag(MODULE_ID, FLAGS.REGION.HEAVILY_OBSCURED)),
+    }
+  };
+  injectConfigurationV2(app, html, data, TEMPLATES.OBSTACLE_CONFIG, ".tab[data-tab=\"identity\"]");
+}
+
+PATCHES.BASIC.HOOKS = { renderRegionConfig };
@@ -0,0 +1,95 @@
+/* globals
+CONFIG,
+foundry,
+game,
+Hooks
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+// Patches for Scene configuration rendering.
+
+import { MODULE_ID, TEMPLATES, FA_ICONS, LABELS } from "./const.js";
+import { FLAGS } from "./LOS/const.js";
+import { injectConfigurationV2 } from "./util.js";
+import { Settings } from "./settings.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+// Hook init to add a tab for the scene overrides to the scene config.
+Hooks.once("init", function() {
+  const SceneConfig = foundry.applications.sheets.SceneConfig;
+  const { footer, ...other } = SceneConfig.PARTS;
+  SceneConfig.PARTS = {
+    ...other,
+    [MODULE_ID]: {
+      template: TEMPLATES.SCENE_OVERRIDES,
+      scrollable: [''],
+    },
+    footer,
+  };
+  SceneConfig.TABS.sheet.tabs.push({
+    id: MODULE_ID,
+    group: "sheet",
+    icon: FA_ICONS.MODULE,
+    label: `${MODULE_ID}.name`,
+  });
+});
+
+/**
+ * Hook renderSceneConfig to add the level floor elevations.
+ * @param {SceneConfig} app
+ * @param {HTMLElement} html
+ * @param {object} context
+ */
+function renderSceneConfig(app, html, context) {
+  const data = {
+    ...context,
+    [MODULE_ID]: {
+      levels: app.document.getFlag(MODULE_ID, FLAGS.SCENE.LEVELS) ?? "",
+    }
+  };
+  injectConfigurationV2(app, html, data, TEMPLATES.SCENE_CONFIG, ".tab[data-tab=\"grid\"]");
+}
+
+PATCHES.BASIC.HOOKS = { renderSceneConfig };
+
+// ----- NOTE: Wraps ----- //
+
+/**
+ * Add the scene overrides to the module tab.
+ * Each overridable setting is listed with its world setting choices; blank uses the world setting.
+ * @param {string} partId                         The part being rendered
+ * @param {ApplicationRenderContext} context      Shared context provided by _prepareContext
+ * @param {HandlebarsRenderOptions} options       Options which configure application rendering behavior
+ * @returns {Promise<ApplicationRenderContext>}   Context data for a specific part
+ */
+async function _preparePartContext(wrapper, partId, context, options) {
+  context = await wrapper(partId, context, options);
+  if ( partId !== MODULE_ID ) return context;
+
+  const overrides = this.document.getFlag(MODULE_ID, FLAGS.SCENE.OVERRIDES) ?? {};
+  const settings = [...Settings.OVERRIDE_KEYS].map(key => {
+    const config = game.settings.settings.get(`${MODULE_ID}.${key}`);
+    return {
+      key,
+      name: config.name,
+      choices: config.choices,
+      range: config.range,
+      value: overrides.settings?.[key] ?? "",
+      worldValue: game.settings.get(MODULE_ID, key)
+    };
+  });
+  context[MODULE_ID] = {
+    overrides,
+    settings,
+    effectChoices: CONFIG[MODULE_ID].CoverEffect._mapStoredEffectNames(),
+    tokensBlockChoices: LABELS.OVERRIDES.TOKENS_BLOCK
+  };
+  return context;
+}
+
+PATCHES.BASIC.WRAPS = { _preparePartContext };
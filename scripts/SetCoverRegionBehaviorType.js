@@ -1,12 +1,13 @@
 /* globals
 CONFIG,
 CONST,
-foundry
+foundry,
+game
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { MODULE_ID } from "./const.js";
+import { MODULE_ID, LABELS } from "./const.js";
 
 /**
  * Abstract Region behavior re terrains
@@ -39,10 +40,38 @@ export class SetCoverRegionBehaviorType extends foundry.data.regionBehaviors.Reg
         label: `${MODULE_ID}.behavior.types.set-cover.fields.exclusive.name`,
         hint: `${MODULE_ID}.behavior.types.set-cover.fields.exclusive.hint`,
         initial: false
-      })
+      }),
+
+      // Overrides of the cover rules for targets within the region. See CoverOverrides.js.
+      disabledEffects: new foundry.data.fields.SetField(new foundry.data.fields.StringField({
+        choices: this.coverChoices
+      }), {
+        label: `${MODULE_ID}.behavior.types.set-cover.fields.disabledEffects.name`,
+        hint: `${MODULE_ID}.behavior.types.set-cover.fields.disabledEffects.hint`
+      }),
+
+      liveTokensBlock: this.tokensBlockField("liveTokensBlock"),
+      deadTokensBlock: this.tokensBlockField("deadTokensBlock"),
+      proneTokensBlock: this.tokensBlockField("proneTokensBlock")
     };
   }
 
+  /**
+   * Field to override whether a type of token blocks, for targets within the region.
+   * Blank to use the rule of each cover effect.
+   * @param {string} name
+   * @returns {StringField}
+   */
+  static tokensBlockField(name) {
+    return new foundry.data.fields.StringField({
+      label: `${MODULE_ID}.behavior.types.set-cover.fields.${name}.name`,
+      hint: `${MODULE_ID}.behavior.types.set-cover.fields.tokensBlock.hint`,
+      choices: () => Object.fromEntries(Object.entries(LABELS.OVERRIDES.TOKENS_BLOCK)
+        .map(([key, label]) => [key, game.i18n.localize(label)])),
+      blank: true
+    });
+  }
+
   /** @override */
   static events = {
     [CONST.REGION_EVENTS.TOKEN_ENTER]: this.#onTokenEnter,
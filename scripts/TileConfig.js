@@ -0,0 +1,61 @@
+/* globals
+CONFIG,
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+// Patches for Tile configuration rendering.
+
+import { MODULE_ID, TEMPLATES } from "./const.js";
+import { FLAGS } from "./LOS/const.js";
+import { injectConfigurationV2 } from "./util.js";
+import { GEOMETRY_LIB_ID } from "./geometry/const.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * Hook renderTileConfig to add the soft cover, floor, cover opacity, alpha threshold, and eye height options.
+ * @param {TileConfig} app
+ * @param {HTMLElement} html
+ * @param {object} context
+ */
+function renderTileConfig(app, html, context) {
+  const data = {
+    ...context,
+    [MODULE_ID]: {
+      isTile: true,
+      softCover: Boolean(app.document.getFlag(MODULE_ID, FLAGS.SOFT_COVER)),
+      floor: Boolean(app.document.getFlag(MODULE_ID, FLAGS.FLOOR)),
+      coverOpacity: app.document.getFlag(MODULE_ID, FLAGS.TILE.COVER_OPACITY) ?? 1,
+      alphaThreshold: app.document.getFlag(MODULE_ID, FLAGS.TILE.ALPHA_THRESHOLD)
+        ?? CONFIG[GEOMETRY_LIB_ID].CONFIG.alphaThreshold,
+      eyeHeight: app.document.getFlag(MODULE_ID, FLAGS.EYE_HEIGHT),
+      defaultEyeHeight: CONFIG[MODULE_ID].viewerEyeHeights?.Tile ?? 0,
+    }
+  };
+  injectConfigurationV2(app, html, data, TEMPLATES.OBSTACLE_CONFIG, ".tab[data-tab=\"overhead\"]");
+}
+
+PATCHES.BASIC.HOOKS = { renderTileConfig };
+
+/**
+ * Save the alpha threshold only if it differs from the global threshold.
+ * The form always submits a threshold, so otherwise every tile configured would store the default.
+ * @param {SubmitEvent} event                   The originating form submission event
+ * @param {HTMLFormElement} form                The form element that was submitted
+ * @param {object} submitData                   Processed and validated form data to be used for a document update
+ * @param {Partial<DatabaseCreateOperation|DatabaseUpdateOperation>} [options]  Additional options
+ */
+async function _processSubmitData(wrapper, event, form, submitData, options) {
+  const modFlags = submitData.flags?.[MODULE_ID];
+  const key = FLAGS.TILE.ALPHA_THRESHOLD;
+  if ( modFlags && Object.hasOwn(modFlags, key)
+    && Number(modFlags[key]) === CONFIG[GEOMETRY_LIB_ID].CONFIG.alphaThreshold ) {
+    delete modFlags[key];
+    if ( this.document.getFlag(MODULE_ID, key) != null ) modFlags[`-=${key}`] = null;
+  }
+  return wrapper(event, form, submitData, options);
+}
+
+PATCHES.BASIC.WRAPS = { _processSubmitData };
@@ -14,12 +14,16 @@ import { CoverCalculator } from "./CoverCalculator.js";
 import { Settings } from "./settings.js";
 import { log } from "./util.js";
 import { TokenCover } from "./TokenCover.js";
+import { tokenFootprint } from "./LOS/util.js";
+import { actorSizeCategory } from "./CoverConditions.js";
 
 export const PATCHES = {};
 PATCHES.BASIC = {};
 PATCHES.sfrpg = {};
 PATCHES.NO_PF2E = {};
 PATCHES.COVER_FLAGS = {};
+PATCHES.TOKEN_HEIGHT = {};
+PATCHES.LOS = {};
 
 
 // ----- NOTE: Hooks ----- //
@@ -229,3 +233,76 @@ async function drawEffects(wrapped) {
 }
 
 PATCHES.COVER_FLAGS.WRAPS = { drawEffects };
+
+/**
+ * Wrap getter: Token.prototype.topZ
+ * If the actor's size category has a height in the size mapping, use that height for the token.
+ * Used by the token geometry and token points for cover, so smaller creatures get more cover from low obstacles.
+ * @returns {number} Elevation of the token top, in pixel units
+ */
+function topZ(wrapped) {
+  const height = sizeCategoryHeight(this);
+  if ( height == null ) return wrapped();
+  const heightZ = CONFIG.GeometryLib.utils.gridUnitsToPixels(height);
+  const isProne = this.actor?.statuses.has(CONFIG.GeometryLib.proneStatusId);
+  return this.bottomZ + (isProne ? heightZ * CONFIG.GeometryLib.proneMultiplier : heightZ);
+}
+
+PATCHES.TOKEN_HEIGHT.WRAPS = { topZ };
+
+/**
+ * Wrap getter: Token.prototype.tokenBorder
+ * Use the token's custom footprint, if any, and rotate the border with the token if it is flagged to do so.
+ * The constrained borders and the token geometry build on this border, so targets and blockers both follow it.
+ * @returns {PIXI.Rectangle|PIXI.Polygon}
+ */
+function tokenBorder(wrapped) { return tokenFootprint(this, wrapped()); }
+
+PATCHES.LOS.WRAPS = { tokenBorder };
+
+// ----- NOTE: Helper functions ----- //
+
+/** @type {{ str: string, heights: Map<string, number> }} */
+const SIZE_HEIGHTS_CACHE = { str: undefined, heights: new Map() };
+
+/**
+ * Parse the size to height mapping setting.
+ * @returns {Map<string, number>} Map of size category to height, in grid units
+ */
+function sizeHeights() {
+  const str = Settings.get(Settings.KEYS.TOKEN_HEIGHT.SIZES) ?? "";
+  if ( SIZE_HEIGHTS_CACHE.str === str ) return SIZE_HEIGHTS_CACHE.heights;
+  const heights = new Map();
+  for ( const pair of str.split(",") ) {
+    const [size, height] = pair.split("=").map(elem => elem.trim());
+    const h = Number(height);
+    if ( size && height && Number.isFinite(h) && h > 0 ) heights.set(size, h);
+  }
+  SIZE_HEIGHTS_CACHE.str = str;
+  SIZE_HEIGHTS_CACHE.heights = heights;
+  return heights;
+}
+
+/**
+ * Height of a token based on its actor size category.
+ * @param {Token} token
+ * @returns {number|undefined} Height in grid units, or undefined if the size is not mapped
+ */
+function sizeCategoryHeight(token) {
+  const category = actorSizeCategory(token.actor);
+  if ( !category ) return undefined;
+  return sizeHeights().get(category);
+}
+
+/**
+ * Apply a changed size to height mapping setting without a reload.
+ * Clears the parsed mapping, refreshes each token size so its geometry is rebuilt, and recalculates cover.
+ */
+export function tokenHeightSizesChanged() {
+  SIZE_HEIGHTS_CACHE.str = undefined;
+  SIZE_HEIGHTS_CACHE.heights.clear();
+  if ( !canvas.ready ) return;
+  canvas.tokens.placeables.forEach(token => token.renderFlags.set({ refreshSize: true }));
+  TokenCover._resetAllCover();
+  TokenCover._forceUpdateAllTokenCover();
+}
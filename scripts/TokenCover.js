@@ -2,6 +2,7 @@
 canvas,
 CONFIG,
 CONST,
+foundry,
 game,
 Token
 */
@@ -9,6 +10,10 @@ Token
 
 import { MODULE_ID, IGNORES_COVER_HANDLER } from "./const.js";
 import { CoverCalculator } from "./CoverCalculator.js";
+import { CoverCache } from "./CoverCache.js";
+import { AsyncQueue } from "./LOS/AsyncQueue.js";
+import { LOSWorkerPool } from "./LOS/workers/LOSWorkerPool.js";
+import { viewerLocation } from "./LOS/util.js";
 import { Settings } from "./settings.js";
 import { log, NULL_SET } from "./util.js";
 import { TokenIconMixin } from "./TokenIcon.js";
@@ -95,7 +100,7 @@ Triggers:
 */
 
 /**
- * @typedef Viewer    Token|MeasuredTemplate|AmbientLight|AmbientSound|Point3d
+ * @typedef Viewer    Token|MeasuredTemplate|AmbientLight|AmbientSound|Tile|Point3d
  * The object that is viewing / attacking.
  */
 
@@ -127,15 +132,24 @@ class TokenCoverBase {
    */
   coverFromMap = new Map();
 
+  /**
+   * Cover effects last calculated from each attacker, keyed as coverFromMap.
+   * Unlike coverFromMap, not cleared when tokens move, so the hysteresis band can tell
+   * whether this attacker previously gave each effect.
+   * @type {Map<string|object, Set<CoverEffect>>}
+   */
+  previousCoverFromMap = new Map();
+
   /**
    * Current cover effects applied to the token.
    * Should always be equal to the cover effects on the token.
    * It is an error to have the same cover effect applied twice on the token.
    * Not modifiable b/c it reflects actual effects on the actor.
+   * Excludes effects applied to the token as an attacker, which the attack workflow removes.
    * @type {Set<CoverEffect>}
    */
   get _currentCoverEffects() {
-    return CONFIG[MODULE_ID].CoverEffect.allOnToken(this.token);
+    return CONFIG[MODULE_ID].CoverEffect.allOnToken(this.token).filter(ce => !ce.appliesToAttacker);
   }
 
   constructor(token) {
@@ -398,9 +412,22 @@ class TokenCoverBase {
 
   /**
    * Add applicable cover effects to this token.
-   * @returns {boolean} True if a change occurred
+   * If the web workers are enabled, the update is queued and happens once the workers return.
+   * @returns {boolean} True if a change occurred; always false when queued
    */
   updateCover() {
+    if ( LOSWorkerPool.instance ) {
+      this.constructor._queueWorkerUpdate(this);
+      return false;
+    }
+    return this.#updateCover();
+  }
+
+  /**
+   * Add applicable cover effects to this token, calculating any missing cover on the main thread.
+   * @returns {boolean} True if a change occurred
+   */
+  #updateCover() {
     let changed = false;
     if ( this.canApplyCover() && !CONFIG[MODULE_ID].CoverEffect.coverOverrideApplied(this.token) ) {
       const coverEffects = this.minimumCoverFromAttackers();
@@ -424,31 +451,91 @@ class TokenCoverBase {
   /**
    * Handle adding and removing cover effects based on the current set.
    * Assumes that replacementCover only includes valid choices. (i.e., follows overlap rules).
+   * Effects with change formulas are evaluated for the attackers, and reapplied if their evaluated changes differ.
+   * See _formulaSource for the attacker and percent cover used.
+   * Effects that apply to the attacker are skipped; see coverAttackWorkflow.
    * @param {Set<CoverEffect>} replacementCover
+   * @param {object} [opts]
+   * @param {Viewer[]|Set<Viewer>} [opts.attackers]   Attackers for the change formulas
+   * @param {boolean} [opts.melee]                    Use the melee (grid corner) cover test for the formulas
+   * @param {string} [opts.senseType]                 Wall restriction type for the formulas
+   * @param {Map<CoverEffect, number>} [opts.effectPercents]  Percent cover of each effect, for a single attacker
    * @returns {boolean} True if a change was made.
    */
-  _replaceCover(replacementCover = NULL_SET) {
+  _replaceCover(replacementCover = NULL_SET, { attackers = this.constructor.attackers, ...opts } = {}) {
     log(`TokenCover#_replacecover|Replacing cover for ${this.token.name}. ${[...replacementCover.values()].map(ce => ce.name).join(", ")}`);
+    const CoverEffect = CONFIG[MODULE_ID].CoverEffect;
+    const token = this.token;
     const coverEffects = new Set(this._currentCoverEffects);
-    const toAdd = replacementCover.difference(coverEffects);
-    const toRemove = coverEffects.difference(replacementCover);
+    replacementCover = new Set([...replacementCover].filter(ce => !ce.appliesToAttacker));
+
+    // Evaluate change formulas. Effects already on the token whose changes differ must be reapplied.
+    const formulaChanges = new Map();
+    const stale = new Set();
+    for ( const ce of replacementCover ) {
+      if ( !ce.changeFormulas ) continue;
+      const { percent, attacker } = this._formulaSource(ce, attackers, opts);
+      const changes = ce.evaluatedChanges(percent, attacker, token);
+      formulaChanges.set(ce, changes);
+      if ( !coverEffects.has(ce) ) continue;
+      const [doc] = CoverEffect.tokenDocumentsForUniqueEffects(token, [ce], false);
+      if ( !doc ) stale.add(ce);
+      else if ( doc.changes?.some((change, i) => change.value !== changes[i]?.value) ) stale.add(ce); // Flag storage has no changes.
+    }
+
+    const toAdd = replacementCover.difference(coverEffects).union(stale);
+    const toRemove = coverEffects.difference(replacementCover).union(stale);
     let change = false;
-    const token = this.token;
     if ( toRemove.size ) {
       log(`TokenCover#_replacecover|Removing cover for ${this.token.name}. ${[...toRemove.values()].map(ce => ce.name).join(", ")}`);
-      const res = CONFIG[MODULE_ID].CoverEffect.removeFromTokenLocally(token, toRemove, { refresh: false });
+      const res = CoverEffect.removeFromTokenLocally(token, toRemove, { refresh: false });
       change ||= res;
     }
     if ( toAdd.size ) {
       log(`TokenCover#_replacecover|Adding cover for ${this.token.name}. ${[...toAdd.values()].map(ce => ce.name).join(", ")}`);
-      const res = CONFIG[MODULE_ID].CoverEffect.addToTokenLocally(token, toAdd, { refresh: false });
-      change ||= res;
+      const plainCover = [...toAdd].filter(ce => !formulaChanges.has(ce));
+      if ( plainCover.length ) {
+        const res = CoverEffect.addToTokenLocally(token, plainCover, { refresh: false });
+        change ||= res;
+      }
+      for ( const ce of toAdd ) {
+        if ( !formulaChanges.has(ce) ) continue;
+        const res = CoverEffect.addToTokenLocally(token, [ce], { refresh: false, data: { changes: formulaChanges.get(ce) } });
+        change ||= res;
+      }
     }
     log(`TokenCover#_replacecover|Refreshing display for ${this.token.name}.`);
-    if ( change ) CONFIG[MODULE_ID].CoverEffect.refreshTokenDisplay(token);
+    if ( change ) CoverEffect.refreshTokenDisplay(token);
     return change;
   }
 
+  /**
+   * Attacker and percent cover for which to evaluate a cover effect's change formulas.
+   * As the least cover from multiple attackers applies, uses the attacker giving the effect with the least cover.
+   * Uses the percent cover recorded when the effect was chosen, calculating it only if not known.
+   * @param {CoverEffect} ce
+   * @param {Viewer[]|Set<Viewer>} attackers
+   * @param {object} [opts]                           Options passed to _replaceCover
+   * @returns {object} With the percent and the attacker, if any
+   */
+  _formulaSource(ce, attackers, { effectPercents, melee = false, senseType } = {}) {
+    let source;
+    for ( const attacker of attackers ) {
+      let percent = effectPercents?.get(ce);
+
+      // The stored cover from each attacker was calculated without attack options.
+      if ( percent == null && !melee && !senseType ) {
+        const entry = this.coverFromMap.get(attacker.id ?? attacker);
+        if ( entry && !entry.cover.has(ce) ) continue; // This attacker did not give the effect.
+        percent = entry?.effectPercents?.get(ce);
+      }
+      const attackerMelee = melee && attacker instanceof foundry.canvas.placeables.Token;
+      percent ??= ce.percentCover(attacker, this.token, { melee: attackerMelee, senseType });
+      if ( !source || percent < source.percent ) source = { percent, attacker };
+    }
+    return source ?? { percent: 0 };
+  }
+
 
   // ----- NOTE: Static getters/setters/properties ----- //
 
@@ -458,6 +545,18 @@ class TokenCoverBase {
    */
   static attackers = new Set();
 
+  /**
+   * Queue for cover updates calculated by the web workers.
+   * @type {AsyncQueue}
+   */
+  static workerQueue = new AsyncQueue();
+
+  /**
+   * Tokens awaiting a cover update from the web workers.
+   * @type {Set<TokenCover>}
+   */
+  static _pendingWorkerUpdates = new Set();
+
 
   // ----- NOTE: Static methods ----- //
 
@@ -559,23 +658,110 @@ class TokenCoverBase {
 
   // ----- NOTE: Static helper functions ----- //
 
+  /**
+   * Key for the cover cache for this attacker and token.
+   * With a hysteresis band, which cover effects apply also depends on those the attacker last gave the token.
+   * @param {Token} tokenToUpdate   Token whose cover should be calculated
+   * @param {Viewer} attacker       Other token or object from which this token may have cover
+   * @param {CoverCalculator} cc    Calculator for the attacker
+   * @returns {string|undefined} Undefined if the cache is disabled
+   */
+  static _coverCacheKey(tokenToUpdate, attacker, cc) {
+    if ( !CoverCache.maxSize ) return undefined;
+    const cacheKey = CoverCache.key(attacker, tokenToUpdate, cc);
+    const hysteresis = Settings.get(Settings.KEYS.COVER_EFFECTS.HYSTERESIS) || 0;
+    if ( !hysteresis ) return cacheKey;
+    const previousCover = tokenToUpdate.tokencover.previousCoverFromMap.get(attacker.id ?? attacker);
+    return `${cacheKey}|${hysteresis}|${previousCover ? [...previousCover].map(ce => ce.id).join(",") : "none"}`;
+  }
 
   /**
    * Helper to update whether this token has cover from another token.
+   * Uses the cover cache if this attacker and token were measured before at the same positions.
+   * With a hysteresis band, which cover effects apply also depends on those the token already has.
    * @param {Token} tokenToUpdate   Token whose cover should be calculated
    * @param {Viewer} attacker       Other token or object from which this token may have cover
    */
   static updateCoverFromToken(tokenToUpdate, attacker) {
     const cc = attacker.tokencover?.coverCalculator ?? new CoverCalculator(attacker);
+    const hysteresis = Settings.get(Settings.KEYS.COVER_EFFECTS.HYSTERESIS) || 0;
+    const cacheKey = this._coverCacheKey(tokenToUpdate, attacker, cc);
+    const key = attacker.id ?? attacker;
+    const { coverFromMap, previousCoverFromMap } = tokenToUpdate.tokencover;
+    const cached = cacheKey ? CoverCache.get(cacheKey) : undefined;
+    if ( cached ) {
+      log(`updateCoverFromToken|${attacker.name} ⚔️ ${tokenToUpdate.name}: using cached cover`);
+      coverFromMap.set(key, cached);
+      previousCoverFromMap.set(key, cached.cover);
+      return;
+    }
+
     const percentCover = cc.percentCover(tokenToUpdate);
-    const cover = cc.coverEffects(tokenToUpdate);
+    const previousCover = previousCoverFromMap.get(key);
+    const effectPercents = new Map();
+    const cover = cc.coverEffects(tokenToUpdate, { hysteresis, previousCover, effectPercents });
     log(`updateCoverFromToken|${attacker.name} ⚔️ ${tokenToUpdate.name}: ${percentCover} ${[...cover].map(c => c.name).join(", ")}
     \t${attacker.name} ${attacker.document?.x},${attacker.document?.y} Center ${attacker.center?.x},${attacker.center?.y}
     \t${tokenToUpdate.name} ${tokenToUpdate.document.x},${tokenToUpdate.document.y} Center ${tokenToUpdate.center.x},${tokenToUpdate.center.y}`);
-    tokenToUpdate.tokencover.coverFromMap.set(attacker.id ?? attacker, { cover, percentCover});
+    coverFromMap.set(key, { cover, percentCover, effectPercents });
+    previousCoverFromMap.set(key, cover);
+    if ( cacheKey ) CoverCache.set(cacheKey, { cover, percentCover, effectPercents });
   }
 
 
+  /**
+   * Queue a cover update using the web workers.
+   * Updates requested while a batch is calculating are combined into the next batch.
+   * @param {TokenCover} tokenCover
+   */
+  static _queueWorkerUpdate(tokenCover) {
+    const pending = this._pendingWorkerUpdates;
+    pending.add(tokenCover);
+    if ( pending.size === 1 ) this.workerQueue.enqueue(() => this._updateCoverFromWorkers());
+  }
+
+  /**
+   * Calculate cover for the pending tokens in the web workers and then update their cover effects.
+   */
+  static async _updateCoverFromWorkers() {
+    const tokenCovers = [...this._pendingWorkerUpdates];
+    this._pendingWorkerUpdates.clear();
+    const attackers = [...this.attackers];
+    const CoverEffect = CONFIG[MODULE_ID].CoverEffect;
+    const prefetches = [];
+    for ( const tc of tokenCovers ) {
+      if ( tc.token.destroyed || !tc.canApplyCover() || CoverEffect.coverOverrideApplied(tc.token) ) continue;
+      attackers.forEach(attacker => prefetches.push(this.prefetchCoverFromToken(tc.token, attacker)));
+    }
+    await Promise.all(prefetches);
+    try {
+      tokenCovers.forEach(tc => { if ( !tc.token.destroyed ) tc.#updateCover(); });
+    } finally {
+      attackers.forEach(attacker => attacker.tokencover?.coverCalculator._workerResults.clear());
+    }
+  }
+
+  /**
+   * Calculate in the web workers the percent cover that updateCoverFromToken will need.
+   * Skipped if the cover is already known or the attacker is not a token.
+   * @param {Token} tokenToUpdate   Token whose cover should be calculated
+   * @param {Viewer} attacker       Other token or object from which this token may have cover
+   */
+  static async prefetchCoverFromToken(tokenToUpdate, attacker) {
+    const cc = attacker.tokencover?.coverCalculator;
+    if ( !cc || attacker === tokenToUpdate ) return;
+    if ( tokenToUpdate.tokencover.coverFromMap.has(attacker.id) ) return;
+    const cacheKey = this._coverCacheKey(tokenToUpdate, attacker, cc);
+    if ( cacheKey && CoverCache.get(cacheKey) ) return;
+
+    // The default config, used for the percent cover, plus each config used by the cover effects.
+    const configs = new Map([["null", undefined]]);
+    for ( const coverEffect of CONFIG[MODULE_ID].CoverEffect._instances.values() ) {
+      for ( const cfg of coverEffect.percentCoverConfigs({ target: tokenToUpdate }) ) configs.set(JSON.stringify(cfg), cfg);
+    }
+    await Promise.all([...configs.values()].map(cfg => cc.percentCoverAsync(tokenToUpdate, cfg)));
+  }
+
   /**
    * Helper to force update cover types and effects for all tokens for the current user on the canvas.
    * Used when changing settings related to cover types or effects.
@@ -589,9 +775,10 @@ class TokenCoverBase {
   }
 
   /**
-   * Reset all cover maps.
+   * Reset all cover maps and the cover cache.
    */
   static _resetAllCover() {
+    CoverCache.clear();
     canvas.tokens.placeables.forEach(t => t.tokencover.coverFromMap.clear());
   }
 
@@ -632,13 +819,10 @@ function applicableRegionBehaviors(attacker, defendingToken, defendingRegions) {
   if ( attacker instanceof foundry.canvas.placeables.Token ) {
     attackingCenter = attacker.center;
     attackingRegions = attacker[MODULE_ID].coverRegions;
-  } else if ( attacker instanceof CONFIG.GeometryLib.threeD.Point3d ) {
-    attackingCenter = attacker;
-    attackingRegions = coverRegions(attacker, CONFIG.GeometryLib.utils.gridUnitsToPixels(attacker.z));
   } else {
-    if ( typeof attacker.document.elevation === "undefined" ) console.warn(`applicableRegionBehaviors|elevation is undefined`);
-    attackingCenter = attacker.document;
-    attackingRegions = coverRegions(attacker.document, attacker.document?.elevation || 0 );
+    // Templates, lights, sounds, tiles, and points attack from their viewer location.
+    attackingCenter = viewerLocation(attacker);
+    attackingRegions = coverRegions(attackingCenter, CONFIG.GeometryLib.utils.pixelsToGridUnits(attackingCenter.z));
   }
 
   // Accumulate all the potential behaviors.
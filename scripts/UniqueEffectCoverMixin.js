@@ -1,5 +1,6 @@
 /* globals
 CONFIG,
+foundry,
 game
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
@@ -7,6 +8,11 @@ game
 
 import { ICONS, MODULE_ID, FLAGS } from "./const.js";
 import { CoverCalculator } from "./CoverCalculator.js";
+import { SENSE_TYPES } from "./LOS/const.js";
+import { coverConditionsMet } from "./CoverConditions.js";
+import { coverFormulaData, evaluateChanges } from "./CoverFormulas.js";
+import { coverGroups, groupCover, removeSuppressed } from "./CoverCombination.js";
+import { coverRuleOverrides } from "./CoverOverrides.js";
 
 /**
  * A mixin which extends the UniqueEffect with specialized terrain behaviors
@@ -71,6 +77,59 @@ export function CoverMixin(Base) {
     /** @type {boolean} */
     get proneTokensBlock() { return Boolean(this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.PRONE_TOKENS_BLOCK]); }
 
+    /** @type {string} */
+    get thresholdCoverType() {
+      return this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.THRESHOLD_COVER_TYPE]
+        || FLAGS.COVER_EFFECT.THRESHOLD_COVER_TYPES.TOTAL;
+    }
+
+    /**
+     * Does this effect measure concealment instead of cover?
+     * @type {boolean}
+     */
+    get isConcealment() { return FLAGS.COVER_EFFECT.CONCEALMENT_TYPES.has(this.thresholdCoverType); }
+
+    /** @type {string} One of SENSE_TYPES */
+    get senseType() {
+      return this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.SENSE_TYPE] || SENSE_TYPES.SIGHT;
+    }
+
+    /** @type {CoverConditions|undefined} */
+    get conditions() { return this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.CONDITIONS]; }
+
+    /**
+     * Does this effect have change values to evaluate as formulas when applied to a token?
+     * Only effects with changes, such as active effects, have any.
+     * @type {boolean}
+     */
+    get changeFormulas() {
+      return Boolean(this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.CHANGE_FORMULAS])
+        && Boolean(this.document.changes?.length);
+    }
+
+    /**
+     * Is this effect added to the attacker instead of the target, during an attack workflow?
+     * @type {boolean}
+     */
+    get appliesToAttacker() {
+      return Boolean(this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.APPLIES_TO_ATTACKER]);
+    }
+
+    /** @type {string} Name of the group whose policy combines this effect, if any */
+    get group() { return String(this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.GROUP] ?? "").trim(); }
+
+    /** @type {string} One of FLAGS.COVER_EFFECT.GROUP_POLICIES */
+    get groupPolicy() {
+      return this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.GROUP_POLICY]
+        || FLAGS.COVER_EFFECT.GROUP_POLICIES.HIGHEST;
+    }
+
+    /** @type {number} */
+    get maxEffects() { return Number(this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.MAX_EFFECTS]) || 0; }
+
+    /** @type {Set<string>} Ids of cover effects removed when this effect applies */
+    get suppresses() { return new Set(this.document.flags?.[MODULE_ID]?.[FLAGS.COVER_EFFECT.RULES.SUPPRESSES] ?? []); }
+
     /** @type {boolean} */
     get includeTokens() { return this.liveTokensBlock || this.deadTokensBlock; }
 
@@ -85,37 +144,111 @@ export function CoverMixin(Base) {
           live: this.liveTokensBlock,
           prone: this.proneTokensBlock,
         },
+        softObstacles: true,
+        senseType: this.senseType,
         // Others:
         // tokenShapeType
-        // senseType
         // largeTarget
         // radius
       };
     }
 
+    /**
+     * Calculator config for a target, with the scene and region overrides of the token blocking rules.
+     * @param {Token} [targetToken]     If not provided, only the scene overrides apply
+     * @returns {AlternativeLOSConfig}
+     */
+    calcConfigForTarget(targetToken) {
+      const calcConfig = this.calcConfig;
+      Object.assign(calcConfig.tokens, coverRuleOverrides(targetToken).tokensBlock);
+      return calcConfig;
+    }
+
     // ----- NOTE: Calculation methods ----- //
 
     /**
      * Percent cover given this cover effect's settings for a pair of tokens.
+     * Depending on the threshold cover type, this is total, hard, or soft cover.
+     * For a concealment effect, the portion of the visible target that is concealed.
      * @param {Viewer} attacker
      * @param {Token} targetToken
+     * @param {object} [opts]
+     * @param {boolean} [opts.melee=false]    Use the melee (grid corner) cover test
+     * @param {string} [opts.senseType]       Wall restriction type, overriding this effect's sense type
      * @returns {number}
      */
-    percentCover(attacker, targetToken) {
+    percentCover(attacker, targetToken, { melee = false, senseType } = {}) {
       const calc = attacker.tokencover?.coverCalculator ?? new CoverCalculator(attacker);
-      return calc.percentCover(targetToken, this.calcConfig);
+      const calcConfig = this.calcConfigForTarget(targetToken);
+      if ( senseType ) calcConfig.senseType = senseType;
+      const coverType = this.thresholdCoverType;
+      if ( this.isConcealment ) return calc.concealment(targetToken, calcConfig)[coverType];
+      if ( coverType === FLAGS.COVER_EFFECT.THRESHOLD_COVER_TYPES.TOTAL ) {
+        return melee ? calc.meleeCover(targetToken, calcConfig) : calc.percentCover(targetToken, calcConfig);
+      }
+      return calc.percentCoverByType(targetToken, calcConfig, { melee })[coverType];
+    }
+
+    /**
+     * Calculator configs that percentCover uses for this cover effect.
+     * Used to calculate the cover in advance, such as in web workers.
+     * Concealment is not calculated in advance, so concealment effects have none.
+     * @param {object} [opts]
+     * @param {string} [opts.senseType]       Wall restriction type, overriding this effect's sense type
+     * @param {Token} [opts.target]           Target, for the region overrides of the rules
+     * @returns {CalculatorConfig[]}
+     */
+    percentCoverConfigs({ senseType, target } = {}) {
+      if ( this.isConcealment ) return [];
+      const calcConfig = this.calcConfigForTarget(target);
+      if ( senseType ) calcConfig.senseType = senseType;
+      if ( this.thresholdCoverType === FLAGS.COVER_EFFECT.THRESHOLD_COVER_TYPES.TOTAL ) return [calcConfig];
+      return [{ ...calcConfig, softObstacles: false }, { ...calcConfig, softObstacles: true }];
+    }
+
+    /**
+     * Change values of this effect, evaluated for a target token and the attacker giving it the effect.
+     * @param {number} percent                The percent cover for which this effect applied
+     * @param {Viewer} [attacker]             The attacker giving the effect, for its roll data
+     * @param {Token} targetToken
+     * @returns {EffectChangeData[]}
+     */
+    evaluatedChanges(percent, attacker, targetToken) {
+      return evaluateChanges(this.document.changes, coverFormulaData(percent, attacker, targetToken));
     }
 
     /**
      * Test if this cover effect could apply to a target token given an attacking token.
+     * The effect must not be disabled by the scene or a region containing the target,
+     * and its conditions, such as attack type and distance, must be met before cover is calculated.
      * Does not handle priority between cover effects. For that, use CoverEffect.coverEffectsForToken
      * @param {Viewer} attacker      Token from which cover is sought
      * @param {Token} targetToken         Token to which cover would apply
-     * @param {object} [_opts]            Options parameter that can be used by child classes.
+     * @param {object} [opts]             Options parameter that can be used by child classes.
+     * @param {boolean} [opts.melee]      Use the melee (grid corner) cover test
+     * @param {string} [opts.senseType]   Wall restriction type, such as from a spell's configuration
+     * @param {string} [opts.actionType]  Attack action type, such as "rwak", tested by the conditions
+     * @param {number} [opts.hysteresis]  Band around the threshold. The threshold is lowered by this amount
+     *   if this attacker previously gave the target this effect and raised by it otherwise, so the effect
+     *   changes only when the cover clearly crosses the threshold.
+     * @param {Set<CoverEffect>} [opts.previousCover]   Effects previously calculated for this attacker and target.
+     *   If undefined, there is no band.
+     * @param {Map<CoverEffect, number>} [opts.effectPercents]  If provided, the percent cover is recorded here,
+     *   so it need not be calculated again, such as for the change formulas.
      * @returns {boolean}
      */
-    _couldApply(attacker, targetToken, _opts) {
-      return this.percentCover(attacker, targetToken) >= this.percentThreshold;
+    _couldApply(attacker, targetToken, opts = {}) {
+      if ( coverRuleOverrides(targetToken).disabledEffects.has(this.uniqueEffectId) ) return false;
+      if ( !coverConditionsMet(this.conditions, attacker, targetToken, opts) ) return false;
+      const melee = Boolean(opts.melee) && attacker instanceof foundry.canvas.placeables.Token;
+      const senseType = opts.senseType;
+      let threshold = this.percentThreshold;
+      if ( opts.hysteresis && opts.previousCover && threshold > 0 ) {
+        threshold += opts.previousCover.has(this) ? -opts.hysteresis : opts.hysteresis;
+      }
+      const percent = this.percentCover(attacker, targetToken, { melee, senseType });
+      opts.effectPercents?.set(this, percent);
+      return percent >= threshold;
     }
 
     /** @alias {Map<string, UniqueEffect} */
@@ -152,6 +285,10 @@ export function CoverMixin(Base) {
 
     /**
      * Determine what cover effects apply to a target token given an attacking token.
+     * Cover effects and concealment effects are each chosen by priority,
+     * so that a concealment effect does not displace a cover effect or vice versa.
+     * Effects in a group are combined by the group's policy; see CoverCombination.js.
+     * Effects suppressed by another applicable effect are then removed.
      * @param {Token} attackingToken
      * @param {Token} targetToken
      * @returns {Set<CoverEffect>}
@@ -159,22 +296,53 @@ export function CoverMixin(Base) {
     static coverForToken(attackingToken, targetToken, opts = {}) {
       const effects = new Set();
       const { ordered, unordered } = this.sortedCoverObjects;
+      const couldApply = coverEffect => coverEffect._couldApply(attackingToken, targetToken, opts);
+      const { EXCLUSIVE } = FLAGS.COVER_EFFECT.GROUP_POLICIES;
+      for ( const isConcealment of [false, true] ) {
+        const groups = [...coverGroups([...ordered, ...unordered]
+          .filter(coverEffect => coverEffect.isConcealment === isConcealment)).values()]
+          .sort((a, b) => b[0].priority - a[0].priority);
 
-      // Test cover effects in priority order.
-      for ( const coverEffect of ordered ) {
-        if ( coverEffect._couldApply(attackingToken, targetToken, opts) ) {
-          effects.add(coverEffect);
-          if ( !coverEffect.canOverlap ) break;
+        // An applicable exclusive group displaces all other effects.
+        let exclusiveEffects;
+        for ( const members of groups ) {
+          if ( members[0].groupPolicy !== EXCLUSIVE ) continue;
+          const applied = groupCover(members, couldApply);
+          if ( applied.length ) { exclusiveEffects = applied; break; }
         }
-      }
+        if ( exclusiveEffects ) {
+          exclusiveEffects.forEach(coverEffect => effects.add(coverEffect));
+          continue;
+        }
+
+        const ungroupedEffects = new Set();
 
-      // Test cover effects without a set priority.
-      for ( const coverEffect of unordered ) {
-        // If there is already an effect, cannot use a non-overlapping effect.
-        if ( !coverEffect.canOverlap && effects.size ) continue;
-        if ( coverEffect._couldApply(attackingToken, targetToken, opts) ) effects.add(coverEffect);
+        // Test cover effects in priority order.
+        for ( const coverEffect of ordered ) {
+          if ( coverEffect.isConcealment !== isConcealment || coverEffect.group ) continue;
+          if ( couldApply(coverEffect) ) {
+            ungroupedEffects.add(coverEffect);
+            if ( !coverEffect.canOverlap ) break;
+          }
+        }
+
+        // Test cover effects without a set priority.
+        for ( const coverEffect of unordered ) {
+          if ( coverEffect.isConcealment !== isConcealment || coverEffect.group ) continue;
+
+          // If there is already an effect, cannot use a non-overlapping effect.
+          if ( !coverEffect.canOverlap && ungroupedEffects.size ) continue;
+          if ( couldApply(coverEffect) ) ungroupedEffects.add(coverEffect);
+        }
+        ungroupedEffects.forEach(coverEffect => effects.add(coverEffect));
+
+        // Combine the effects of each group by its policy.
+        for ( const members of groups ) {
+          if ( members[0].groupPolicy === EXCLUSIVE ) continue;
+          groupCover(members, couldApply).forEach(coverEffect => effects.add(coverEffect));
+        }
       }
-      return effects;
+      return removeSuppressed(effects);
     }
 
     /**
@@ -213,6 +381,14 @@ export function CoverMixin(Base) {
       modFlags[FLAGS.COVER_EFFECT.RULES.LIVE_TOKENS_BLOCK] = false;
       modFlags[FLAGS.COVER_EFFECT.RULES.DEAD_TOKENS_BLOCK] = false;
       modFlags[FLAGS.COVER_EFFECT.RULES.PRONE_TOKENS_BLOCK] = false;
+      modFlags[FLAGS.COVER_EFFECT.RULES.THRESHOLD_COVER_TYPE] = FLAGS.COVER_EFFECT.THRESHOLD_COVER_TYPES.TOTAL;
+      modFlags[FLAGS.COVER_EFFECT.RULES.SENSE_TYPE] = SENSE_TYPES.SIGHT;
+      modFlags[FLAGS.COVER_EFFECT.RULES.CHANGE_FORMULAS] = false;
+      modFlags[FLAGS.COVER_EFFECT.RULES.APPLIES_TO_ATTACKER] = false;
+      modFlags[FLAGS.COVER_EFFECT.RULES.GROUP] = "";
+      modFlags[FLAGS.COVER_EFFECT.RULES.GROUP_POLICY] = FLAGS.COVER_EFFECT.GROUP_POLICIES.HIGHEST;
+      modFlags[FLAGS.COVER_EFFECT.RULES.MAX_EFFECTS] = 0;
+      modFlags[FLAGS.COVER_EFFECT.RULES.SUPPRESSES] = [];
       return data;
     }
 
@@ -0,0 +1,35 @@
+/* globals
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+// Patches for Wall configuration rendering.
+
+import { MODULE_ID, TEMPLATES, LABELS } from "./const.js";
+import { FLAGS } from "./LOS/const.js";
+import { injectConfigurationV2 } from "./util.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * Hook renderWallConfig to add the cover direction, line of effect, and soft cover options.
+ * @param {WallConfig} app
+ * @param {HTMLElement} html
+ * @param {object} context
+ */
+function renderWallConfig(app, html, context) {
+  const data = {
+    ...context,
+    [MODULE_ID]: {
+      coverDirectionOptions: LABELS.WALL_CONFIG.COVER_DIRECTION,
+      coverDirection: app.document.getFlag(MODULE_ID, FLAGS.WALL.COVER_DIRECTION) ?? 0,
+      effectRestrictionOptions: LABELS.WALL_CONFIG.EFFECT_RESTRICTION,
+      effectRestriction: app.document.getFlag(MODULE_ID, FLAGS.WALL.EFFECT_RESTRICTION) ?? "",
+      softCover: Boolean(app.document.getFlag(MODULE_ID, FLAGS.SOFT_COVER))
+    }
+  };
+  injectConfigurationV2(app, html, data, TEMPLATES.WALL_CONFIG);
+}
+
+PATCHES.BASIC.HOOKS = { renderWallConfig };
@@ -18,6 +18,28 @@ export const FLAGS = {
   DND5E: {
     SPELL_CONFIG: {
       USE_COVER: "useCover",
+
+      /**
+       * Wall restriction type used for cover from this spell. One of SENSE_TYPES.
+       * If undefined, each cover effect uses its own sense type.
+       * @type {string}
+       */
+      SENSE_TYPE: "senseType",
+
+      /**
+       * Where to measure cover from when using the template. One of CoverCalculator.TEMPLATE_ORIGINS.
+       * If undefined, the template origin.
+       * @type {string}
+       */
+      TEMPLATE_ORIGIN: "templateOrigin",
+
+      /**
+       * Whether cover applies to Dexterity saving throws against this item.
+       * If undefined, true.
+       * @type {boolean}
+       */
+      SAVE_COVER: "saveCover",
+
       CHOICES: {
         NO: "no",
         CASTER: "caster",
@@ -122,8 +144,95 @@ export const FLAGS = {
        * live nor dead tokens provide cover.
        * @type {boolean}
        */
-      PRONE_TOKENS_BLOCK: "proneTokensBlock"
-    }
+      PRONE_TOKENS_BLOCK: "proneTokensBlock",
+
+      /**
+       * Cover that the percent threshold is compared against.
+       * One of THRESHOLD_COVER_TYPES: all obstacles, hard cover only, or soft cover only.
+       * Or one of CONCEALMENT_TYPES, for a concealment effect compared against the portion of the visible
+       * target in dim light or darkness, in darkness, or in heavily obscured regions.
+       * @type {string}
+       */
+      THRESHOLD_COVER_TYPE: "thresholdCoverType",
+
+      /**
+       * Wall restriction type used for the cover calculation. One of SENSE_TYPES.
+       * E.g., "effect" for cover that applies only to obstacles blocking line of effect.
+       * @type {string}
+       */
+      SENSE_TYPE: "senseType",
+
+      /**
+       * Conditions, such as attack type, distance, and attacker and target properties, that must also be met.
+       * See CoverConditions.js.
+       * @type {CoverConditions}
+       */
+      CONDITIONS: "conditions",
+
+      /**
+       * Change values are formulas, evaluated against the percent cover and attacker and target roll data
+       * when the effect is applied to a token. See CoverFormulas.js.
+       * @type {boolean}
+       */
+      CHANGE_FORMULAS: "changeFormulas",
+
+      /**
+       * Cover effect is added to the attacker instead of the target, such as a penalty for firing into melee.
+       * Only applied during an attack workflow, and removed once the attack is rolled.
+       * @type {boolean}
+       */
+      APPLIES_TO_ATTACKER: "appliesToAttacker",
+
+      // Options for combining cover effects. See CoverCombination.js.
+
+      /**
+       * Name of the group of cover effects that are combined by the group policy,
+       * instead of by priority and overlap.
+       * @type {string}
+       */
+      GROUP: "group",
+
+      /**
+       * How the effects of the group combine. One of GROUP_POLICIES.
+       * The policy of the highest-priority effect in the group is used.
+       * @type {string}
+       */
+      GROUP_POLICY: "groupPolicy",
+
+      /**
+       * For a stacking group, the most effects of the group that can apply together. 0 for no limit.
+       * @type {number}
+       */
+      MAX_EFFECTS: "maxEffects",
+
+      /**
+       * Ids of cover effects that are removed when this effect applies.
+       * Effects that suppress each other cancel out.
+       * @type {string[]}
+       */
+      SUPPRESSES: "suppresses"
+    },
+
+    GROUP_POLICIES: {
+      HIGHEST: "highest",
+      STACK: "stack",
+      EXCLUSIVE: "exclusive"
+    },
+
+    THRESHOLD_COVER_TYPES: {
+      TOTAL: "total",
+      HARD: "hard",
+      SOFT: "soft",
+      DIM: "dim",
+      DARK: "dark",
+      OBSCURED: "obscured"
+    },
+
+    /**
+     * Threshold cover types that measure concealment instead of cover.
+     * @type {Set<string>}
+     */
+    CONCEALMENT_TYPES: new Set(["dim", "dark", "obscured"])
   },
 
   COVER_BOOK: {
@@ -145,8 +254,61 @@ export const LABELS = {
         no: `${MODULE_ID}.dnd5e.spell-configuration.useCover.no`,
         caster: `${MODULE_ID}.dnd5e.spell-configuration.useCover.caster`,
         template: `${MODULE_ID}.dnd5e.spell-configuration.useCover.template`
+      },
+      TEMPLATE_ORIGIN: {
+        origin: `${MODULE_ID}.dnd5e.spell-configuration.templateOrigin.origin`,
+        nearest: `${MODULE_ID}.dnd5e.spell-configuration.templateOrigin.nearest`
       }
     }
+  },
+
+  SENSE_TYPES: {
+    sight: `${MODULE_ID}.sense-types.sight`,
+    move: `${MODULE_ID}.sense-types.move`,
+    sound: `${MODULE_ID}.sense-types.sound`,
+    light: `${MODULE_ID}.sense-types.light`,
+    effect: `${MODULE_ID}.sense-types.effect`
+  },
+
+  COVER_EFFECT: {
+    THRESHOLD_COVER_TYPE: {
+      total: `${MODULE_ID}.cover-effect.threshold-cover-type.total`,
+      hard: `${MODULE_ID}.cover-effect.threshold-cover-type.hard`,
+      soft: `${MODULE_ID}.cover-effect.threshold-cover-type.soft`,
+      dim: `${MODULE_ID}.cover-effect.threshold-cover-type.dim`,
+      dark: `${MODULE_ID}.cover-effect.threshold-cover-type.dark`,
+      obscured: `${MODULE_ID}.cover-effect.threshold-cover-type.obscured`
+    },
+
+    GROUP_POLICY: {
+      highest: `${MODULE_ID}.cover-effect.group-policy.highest`,
+      stack: `${MODULE_ID}.cover-effect.group-policy.stack`,
+      exclusive: `${MODULE_ID}.cover-effect.group-policy.exclusive`
+    }
+  },
+
+  OVERRIDES: {
+    // Keyed by TOKENS_BLOCK_OVERRIDES in CoverOverrides.js.
+    TOKENS_BLOCK: {
+      block: `${MODULE_ID}.overrides.tokens-block.block`,
+      ignore: `${MODULE_ID}.overrides.tokens-block.ignore`
+    }
+  },
+
+  WALL_CONFIG: {
+    // Keyed by CONST.WALL_DIRECTIONS.
+    COVER_DIRECTION: {
+      0: `${MODULE_ID}.wallconfig.cover-direction.both`,
+      1: `${MODULE_ID}.wallconfig.cover-direction.left`,
+      2: `${MODULE_ID}.wallconfig.cover-direction.right`
+    },
+
+    // Keyed by CONST.WALL_SENSE_TYPES.
+    EFFECT_RESTRICTION: {
+      0: `${MODULE_ID}.wallconfig.effect-restriction.none`,
+      10: `${MODULE_ID}.wallconfig.effect-restriction.limited`,
+      20: `${MODULE_ID}.wallconfig.effect-restriction.normal`
+    }
   }
 };
 
@@ -158,7 +320,11 @@ export const TEMPLATES = {
   COVER_RULES_PARTIAL: `modules/${MODULE_ID}/templates/cover-rules-partial.html`,
   ACTIVE_EFFECT: `modules/${MODULE_ID}/templates/active-effect-config.html`,
   COVER_RULES_PF2E: `modules/${MODULE_ID}/templates/cover-rules-pf2e.html`,
-  SPELL_CONFIG_DND5E: `modules/${MODULE_ID}/templates/dnd5e-spell-config.html`
+  SPELL_CONFIG_DND5E: `modules/${MODULE_ID}/templates/dnd5e-spell-config.html`,
+  WALL_CONFIG: `modules/${MODULE_ID}/templates/wall-config.html`,
+  OBSTACLE_CONFIG: `modules/${MODULE_ID}/templates/obstacle-config.html`,
+  SCENE_CONFIG: `modules/${MODULE_ID}/templates/scene-config.html`,
+  SCENE_OVERRIDES: `modules/${MODULE_ID}/templates/scene-overrides.html`
 };
 
 export const ICONS = {
@@ -12,6 +12,8 @@ import { UniqueActiveEffect } from "./unique_effects/UniqueActiveEffect.js";
 import { UniqueItemEffect } from "./unique_effects/UniqueItemEffect.js";
 import { UniqueFlagEffect, UniqueFlagItemEffect } from "./unique_effects/UniqueFlagEffect.js";
 import { CoverMixin } from "./UniqueEffectCoverMixin.js";
+import { coverConditionsContext } from "./CoverConditions.js";
+import { coverCombinationContext } from "./CoverCombination.js";
 
 export class CoverActiveEffect extends CoverMixin(UniqueActiveEffect) {
 
@@ -29,6 +31,12 @@ export class CoverItemEffect extends CoverMixin(UniqueItemEffect) {}
 
 export class CoverFlagEffect extends CoverMixin(UniqueFlagEffect) {
 
+  /**
+   * Flag effects have no changes to evaluate.
+   * @type {boolean}
+   */
+  get changeFormulas() { return false; }
+
   /** @type {object} */
   static get _storageMapData() {
     return {
@@ -41,6 +49,11 @@ export class CoverFlagEffect extends CoverMixin(UniqueFlagEffect) {
 
 export class CoverFlagItemEffect extends CoverMixin(UniqueFlagItemEffect) {
 
+  /**
+   * Flag effects have no changes to evaluate.
+   * @type {boolean}
+   */
+  get changeFormulas() { return false; }
 }
 
 /**
@@ -59,9 +72,12 @@ export class CoverDND5E extends CoverActiveEffect {
   _couldApply(attacker, targetToken, opts = {}) {
     const actionType = opts.actionType ?? "all";
     let ignoresCover = false;
-    if ( attacker instanceof foundry.canvas.placeables.Token ) ignoresCover = attacker.tokencover.ignoresCover?.[actionType];
+    // Ignoring cover does not ignore concealment.
+    if ( attacker instanceof foundry.canvas.placeables.Token && !this.isConcealment ) {
+      ignoresCover = attacker.tokencover.ignoresCover?.[actionType];
+    }
     if ( ignoresCover && ignoresCover >= this.document.percentThreshold ) return false;
-    return super._couldApply(attacker, targetToken);
+    return super._couldApply(attacker, targetToken, opts);
   }
 }
 
@@ -130,9 +146,12 @@ export class CoverFlagsDND5E extends CoverFlagEffect {
   _couldApply(attacker, targetToken, opts = {}) {
     const actionType = opts.actionType ?? "all";
     let ignoresCover = false;
-    if ( attacker instanceof foundry.canvas.placeables.Token ) ignoresCover = attacker.tokencover.ignoresCover?.[actionType];
+    // Ignoring cover does not ignore concealment.
+    if ( attacker instanceof foundry.canvas.placeables.Token && !this.isConcealment ) {
+      ignoresCover = attacker.tokencover.ignoresCover?.[actionType];
+    }
     if ( ignoresCover && ignoresCover >= this.document.percentThreshold ) return false;
-    return super._couldApply(attacker, targetToken);
+    return super._couldApply(attacker, targetToken, opts);
   }
 }
 
@@ -161,7 +180,13 @@ export class CoverFlagRulesConfig extends FormApplication {
   getData(_options = {}) {
     return {
       isGM: game.user.isGM,
-      object: this.object
+      object: this.object,
+      source: this.object,
+      [MODULE_ID]: {
+        noChanges: true, // Flag effects cannot use change formulas.
+        ...coverConditionsContext(),
+        ...coverCombinationContext(this.object)
+      }
     };
   }
 
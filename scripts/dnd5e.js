@@ -11,7 +11,7 @@ renderTemplate
 
 import { log } from "./util.js";
 import { MODULE_ID, FLAGS, LABELS, TEMPLATES } from "./const.js";
-import { coverAttackWorkflow } from "./CoverDialog.js";
+import { coverAttackWorkflow, removeAttackerCover } from "./CoverDialog.js";
 
 export const PATCHES = {};
 PATCHES.DND5E_MIDI = {};
@@ -41,6 +41,9 @@ async function render5eSpellTemplateConfig(app, html, data) {
   }
   data[MODULE_ID] ??= {};
   data[MODULE_ID].useCoverOptions = LABELS.DND5E.SPELL_CONFIG.USE_COVER;
+  data[MODULE_ID].senseTypeOptions = LABELS.SENSE_TYPES;
+  data[MODULE_ID].templateOriginOptions = LABELS.DND5E.SPELL_CONFIG.TEMPLATE_ORIGIN;
+  data[MODULE_ID].saveCover = data.document.getFlag(MODULE_ID, CONFIG.SAVE_COVER) ?? true;
 
   // Insert the html.
   const myHTML = await renderTemplate(TEMPLATES.SPELL_CONFIG_DND5E, data);
@@ -64,9 +67,10 @@ export async function rollAttack(wrapper, config, dialog, message) {
   let actionType;
   const isRanged = this.attack.type.value === "ranged";
   switch ( this.attack.type.classification ) {
-    case "weapon": actionType = isRanged ? "mwak" : "rwak";
-    case "spell": actionType = isRanged ? "msak" : "rsak";
-    case "unarmed": actionType = isRanged ? "mwak" : "rwak";
+    case "spell": actionType = isRanged ? "rsak" : "msak"; break;
+    case "weapon":
+    case "unarmed":
+    default: actionType = isRanged ? "rwak" : "mwak";
   }
   return _rollAttack.call(this, wrapper, actionType, config, dialog, message);
 }
@@ -80,9 +84,15 @@ async function _rollAttack(wrapper, actionType, ...args) {
   const targets = game.user.targets;
   if ( !targets.size ) return wrapper(...args);
 
+  // Spells may use a different wall restriction type, such as line of effect.
+  const senseType = this.item?.getFlag(MODULE_ID, FLAGS.DND5E.SPELL_CONFIG.SENSE_TYPE) || undefined;
+
   // Construct dialogs, if applicable
-  const doAttack = await coverAttackWorkflow(token, targets, { actionType });
-  if ( doAttack ) return wrapper(...args);
+  const doAttack = await coverAttackWorkflow(token, targets, { actionType, senseType });
+  if ( doAttack ) {
+    // Cover effects that apply to the attacker last only for the roll.
+    try { return await wrapper(...args); } finally { removeAttackerCover(token); }
+  }
 
   // If coverAttackWorkflow returns false, user canceled or eliminated all targets; simply return.
   return false;
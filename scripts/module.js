@@ -20,6 +20,7 @@ import { getObjectProperty } from "./LOS/util.js";
 // Calculators
 import { PercentVisibleCalculatorPoints, DebugVisibilityViewerPoints } from "./LOS/calculators/PointsCalculator.js";
 import { PercentVisibleCalculatorGeometric, DebugVisibilityViewerGeometric } from "./LOS/calculators/GeometricCalculator.js";
+import { PercentVisibleCalculatorGridCorners, DebugVisibilityViewerGridCorners } from "./LOS/calculators/GridCornersCalculator.js";
 import { PercentVisibleCalculatorPerPixel, DebugVisibilityViewerPerPixel } from "./LOS/calculators/PerPixelCalculator.js";
 import { PercentVisibleCalculatorWebGL2, DebugVisibilityViewerWebGL2 } from "./LOS/calculators/WebGL2Calculator.js";
 
@@ -38,11 +39,16 @@ import {
 
 // Regions
 import { SetCoverRegionBehaviorType } from "./SetCoverRegionBehaviorType.js";
+import { CoverVolumeRegionBehaviorType } from "./CoverVolumeRegionBehaviorType.js";
 
 // For API
 import { OPEN_POPOUTS } from "./LOS/Area3dPopout.js";
 import { CoverCalculator } from "./CoverCalculator.js";
 import { CoverDialog } from "./CoverDialog.js";
+import { CoverCache } from "./CoverCache.js";
+import { CoverMatrix } from "./CoverMatrix.js";
+import { LOSWorkerPool } from "./LOS/workers/LOSWorkerPool.js";
+import { Point3d } from "./geometry/3d/Point3d.js";
 
 // Ignores Cover
 import {
@@ -67,10 +73,12 @@ Hooks.once("init", function() {
   }
 
   Object.assign(CONFIG.RegionBehavior.dataModels, {
-    [`${MODULE_ID}.setCover`]: SetCoverRegionBehaviorType
+    [`${MODULE_ID}.setCover`]: SetCoverRegionBehaviorType,
+    [`${MODULE_ID}.coverVolume`]: CoverVolumeRegionBehaviorType
   });
 
   CONFIG.RegionBehavior.typeIcons[`${MODULE_ID}.setCover`] = FA_ICONS.MODULE;
+  CONFIG.RegionBehavior.typeIcons[`${MODULE_ID}.coverVolume`] = FA_ICONS.MODULE;
 
   // Must go at end?
   foundry.applications.handlebars.loadTemplates(Object.values(TEMPLATES)).then(_value => log("Templates loaded."));
@@ -172,6 +180,51 @@ function initializeConfig() {
      */
     statusesGrantNoCover: new Set(),
 
+    /**
+     * Maximum number of cover results kept in the cover cache.
+     * Results are keyed by attacker and target positions, so moving back to a measured position is instant.
+     * Set to 0 to disable the cache.
+     * @type {number}
+     */
+    coverCacheSize: 1000,
+
+    /**
+     * Number of web workers used when the worker setting is enabled.
+     * @type {number}
+     */
+    losWorkers: 2,
+
+    /**
+     * Cells along each side of the coarse tile alpha mask sent to the web workers.
+     * @type {number}
+     */
+    losWorkerTileResolution: 64,
+
+    /**
+     * Settings for the auto algorithm, which chooses a calculator for each viewer and target.
+     * - candidates: calculators to choose among when obstacles are present, by lowest estimated cost
+     * - denseTiles: use WebGL2 if at least this many tiles are between viewer and target
+     * - benchmarkPairs: maximum token pairs timed on scene load to estimate the cost of each candidate
+     * @type {object}
+     */
+    autoAlgorithm: {
+      candidates: ["geometric", "webgl2"],
+      denseTiles: 4,
+      benchmarkPairs: 10,
+    },
+
+    /**
+     * Default eye height, in grid units above their elevation, of placeables other than tokens
+     * when used as attackers, such as a light or tile representing a trap or turret.
+     * Each placeable can override this with the eyeHeight flag.
+     * @type {object<string, number>}
+     */
+    viewerEyeHeights: {
+      AmbientLight: 0,
+      AmbientSound: 0,
+      Tile: 0,
+    },
+
     /**
      * Classes and associated calculators that can determine percent visibility.
      * Created and initialized at canvasReady hook
@@ -184,6 +237,7 @@ function initializeConfig() {
       // Unused. webgpu: PercentVisibleCalculatorWebGPU,
       // Unused. "webgpu-async": PercentVisibleCalculatorWebGPUAsync,
       "per-pixel": PercentVisibleCalculatorPerPixel,
+      "grid-corners": PercentVisibleCalculatorGridCorners,
     },
 
     losCalculators: {
@@ -193,6 +247,7 @@ function initializeConfig() {
       // webgpu: null,
       // "webgpu-async": null,
       "per-pixel": null,
+      "grid-corners": null,
     },
 
     /**
@@ -205,6 +260,7 @@ function initializeConfig() {
       // Unused. webgpu: DebugVisibilityViewerWebGPU,
       // Unused. "webgpu-async": DebugVisibilityViewerWebGPUAsync,
       "per-pixel": DebugVisibilityViewerPerPixel,
+      "grid-corners": DebugVisibilityViewerGridCorners,
     },
 
     ...LOS_CONFIG,
@@ -233,6 +289,35 @@ function initializeAPI() {
 
     CoverCalculator,
     CoverDialog,
+    CoverCache,
+    CoverMatrix,
+    LOSWorkerPool,
+
+    /**
+     * Cover of every target from every attacker, calculated in one pass.
+     * @param {Viewer[]|Set<Viewer>} attackers
+     * @param {Token[]|Set<Token>} targets
+     * @param {CoverMatrixOptions} [opts]     See CoverMatrix.js
+     * @returns {CoverMatrix}
+     */
+    coverMatrix: (attackers, targets, opts) => CoverMatrix.compute(attackers, targets, opts),
+
+    /**
+     * Cover effects for targets from any viewer: a token, template, light, sound, tile, or point.
+     * A point may be a Point3d or a plain {x, y, z} object in canvas pixels.
+     * To confirm or apply the cover, pass the same viewer to CoverDialog.
+     * @param {Viewer|object} viewer
+     * @param {Token[]|Set<Token>|Token} targets
+     * @param {object} [opts]                 Options passed to coverForToken, such as senseType
+     * @returns {Map<Token, Set<CoverEffect>>}
+     */
+    coverFromViewer: (viewer, targets, opts) => {
+      if ( !(viewer instanceof foundry.canvas.placeables.PlaceableObject || viewer instanceof Point3d) ) {
+        viewer = new Point3d(viewer.x, viewer.y, viewer.z ?? 0);
+      }
+      return CoverCalculator.coverCalculations(viewer, targets, undefined, opts);
+    },
+
     COVER,
 
     // UniqueEffects
@@ -15,8 +15,15 @@ import { PATCHES as PATCHES_ActiveEffectConfig } from "./ActiveEffectConfig.js";
 import { PATCHES as PATCHES_Combat } from "./Combat.js";
 import { PATCHES as PATCHES_Item } from "./Item.js";
 import { PATCHES as PATCHES_Token } from "./Token.js";
+import { PATCHES as PATCHES_Edge } from "./Edge.js";
 import { PATCHES as PATCHES_ItemSheet } from "./ItemSheet.js";
 
+// Cover calculation
+import { PATCHES as PATCHES_CoverCache } from "./CoverCache.js";
+import { PATCHES as PATCHES_CoverOverrides } from "./CoverOverrides.js";
+import { PATCHES as PATCHES_AlgorithmSelector } from "./AlgorithmSelector.js";
+import { PATCHES as PATCHES_LOSWorkerPool } from "./LOS/workers/LOSWorkerPool.js";
+
 // Dnd5e
 import { PATCHES as PATCHES_AttackActivity } from "./AttackActivity.js";
 
@@ -28,6 +35,10 @@ import { PATCHES as PATCHES_ClientSettings } from "./ModuleSettingsAbstract.js";
 
 // Token configuration
 import { PATCHES as PATCHES_TokenConfig } from "./TokenConfig.js";
+import { PATCHES as PATCHES_WallConfig } from "./WallConfig.js";
+import { PATCHES as PATCHES_TileConfig } from "./TileConfig.js";
+import { PATCHES as PATCHES_RegionConfig } from "./RegionConfig.js";
+import { PATCHES as PATCHES_SceneConfig } from "./SceneConfig.js";
 
 // Templates
 import { PATCHES as PATCHES_MeasuredTemplate } from "./MeasuredTemplate.js";
@@ -45,9 +56,18 @@ const PATCHES = {
   MeasuredTemplate: PATCHES_MeasuredTemplate,
   SidebarTab: PATCHES_SidebarTab,
   "foundry.canvas.placeables.Token": PATCHES_Token,
+  "foundry.canvas.geometry.edges.Edge": PATCHES_Edge,
   TokenConfig: PATCHES_TokenConfig,
+  WallConfig: PATCHES_WallConfig,
+  "foundry.applications.sheets.TileConfig": PATCHES_TileConfig,
+  RegionConfig: PATCHES_RegionConfig,
+  "foundry.applications.sheets.SceneConfig": PATCHES_SceneConfig,
 
-
+  // Only works b/c these are all hooks. Otherwise, would need class breakdown.
+  CoverCache: PATCHES_CoverCache,
+  CoverOverrides: PATCHES_CoverOverrides,
+  AlgorithmSelector: PATCHES_AlgorithmSelector,
+  LOSWorkerPool: PATCHES_LOSWorkerPool
 };
 
 const PATCHES_DND5E = {
@@ -70,6 +90,7 @@ export function initializePatching() {
 
   // If ATV is not active, handle the LOS patches needed to run the calculator.
   if ( !OTHER_MODULES.ATV ) PATCHER.registerGroup("LOS");
+  if ( !OTHER_MODULES.ATV && Settings.get(Settings.KEYS.TOKEN_HEIGHT.USE_SIZE) ) PATCHER.registerGroup("TOKEN_HEIGHT");
 
   //   If ( OTHER_MODULES.LEVELS ) PATCHER.registerGroup("LEVELS");
   //   else PATCHER.registerGroup("NO_LEVELS");
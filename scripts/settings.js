@@ -14,12 +14,21 @@ import { ModuleSettingsAbstract } from "./ModuleSettingsAbstract.js";
 import { ATCSettingsSubmenu } from "./ATCSettingsSubmenu.js";
 import { registerTemplates, deregisterTemplates } from "./patching.js";
 import { TokenCover } from "./TokenCover.js";
+import { tokenHeightSizesChanged } from "./Token.js";
 import { renderTemplateSync } from "./util.js";
-import { buildDebugViewer, currentDebugViewerClass, buildLOSCalculator } from "./CoverCalculator.js";
+import {
+  buildDebugViewer,
+  currentDebugViewerClass,
+  buildLOSCalculator,
+  currentCalculatorSelector } from "./CoverCalculator.js";
+import { AlgorithmSelector } from "./AlgorithmSelector.js";
+import { CoverCache } from "./CoverCache.js";
+import { sceneSettingOverride } from "./CoverOverrides.js";
 
 // LOS folder
 import { ViewerLOS } from "./LOS/ViewerLOS.js";
 import { pointIndexForSet } from "./LOS/SmallBitSet.js";
+import { LOSWorkerPool } from "./LOS/workers/LOSWorkerPool.js";
 
 export const PATCHES_SidebarTab = {};
 export const PATCHES_ItemDirectory = {};
@@ -131,6 +140,8 @@ const ENUMS = {
     PER_PIXEL: "los-algorithm-per-pixel",
     GEOMETRIC: "los-algorithm-geometric",
     WEBGL2: "los-algorithm-webgl2",
+    GRID_CORNERS: "los-algorithm-grid-corners",
+    AUTO: "los-algorithm-auto",
   },
   POINT_OPTIONS: {
     POINTS: "los-points-options-target",
@@ -154,6 +165,7 @@ export const SETTINGS = {
     // CHOICES: USE_CHOICES,
     DATA: "cover-effects-data",
     TARGETING: "cover-effects-targeting",
+    HYSTERESIS: "cover-effects-hysteresis",
     RULES: "cover-rules"
   },
 
@@ -162,6 +174,7 @@ export const SETTINGS = {
     CONFIRM: "cover-workflow-confirm",
     CONFIRM_CHANGE_ONLY: "cover-workflow-confirm-change-only",
     CONFIRM_NO_COVER: "cover-workflow-confirm-no-cover",
+    SOURCES: "cover-workflow-sources",
     // CONFIRM_CHOICES,
   },
 
@@ -170,16 +183,21 @@ export const SETTINGS = {
     VIEWER: {
       POINTS: "los-points-options-viewer",
       INSET: "los-inset-viewer",
+      AGGREGATION: "los-viewpoint-aggregation",
+      BEST_N: "los-viewpoint-best-n",
     },
 
     TARGET: {
       ALGORITHM: "los-algorithm",
       LARGE: "los-large-target",
+      WORKER: "los-algorithm-worker",
       TYPES: {
         POINTS: "los-algorithm-points",
         PER_PIXEL: "los-algorithm-per-pixel",
         GEOMETRIC: "los-algorithm-geometric",
         WEBGL2: "los-algorithm-webgl2",
+        GRID_CORNERS: "los-algorithm-grid-corners",
+        AUTO: "los-algorithm-auto",
       },
       POINT_OPTIONS: {
         POINTS: "los-points-options-target",
@@ -194,6 +212,11 @@ export const SETTINGS = {
   PRONE_MULTIPLIER: "prone-multiplier",
   VISION_HEIGHT_MULTIPLIER: "vision-height-multiplier",
 
+  TOKEN_HEIGHT: {
+    USE_SIZE: "token-height-use-size", // Derive token height from the actor size category.
+    SIZES: "token-height-sizes", // Size category to height mapping, e.g. "med=6, lg=10".
+  },
+
   // Hidden settings
   AREA3D_USE_SHADOWS: "area3d-use-shadows", // For benchmarking and debugging for now.
   CHANGELOG: "changelog",
@@ -226,6 +249,28 @@ export class Settings extends ModuleSettingsAbstract {
   /** @type {object} */
   static CONTROLS = CONTROLS;
 
+  /**
+   * Settings that a scene can override. See CoverOverrides.js.
+   * @type {Set<string>}
+   */
+  static OVERRIDE_KEYS = new Set([
+    SETTINGS.LOS.TARGET.ALGORITHM,
+    SETTINGS.LOS.VIEWER.POINTS,
+    SETTINGS.LOS.VIEWER.INSET,
+    SETTINGS.LOS.TARGET.POINT_OPTIONS.POINTS,
+    SETTINGS.LOS.TARGET.POINT_OPTIONS.INSET
+  ]);
+
+  /**
+   * Retrieve a specific setting, or the viewed scene's override of it.
+   * @param {string} key
+   * @returns {*}
+   */
+  static get(key) {
+    if ( this.OVERRIDE_KEYS.has(key) ) return sceneSettingOverride(key) ?? super.get(key);
+    return super.get(key);
+  }
+
   static debugViewer;
 
   static initializeDebugViewer(type) {
@@ -247,6 +292,7 @@ export class Settings extends ModuleSettingsAbstract {
 
   static get currentCalculator() {
     const calcName = ViewerLOS.VIEWPOINT_ALGORITHM_SETTINGS[this.get(this.KEYS.LOS.TARGET.ALGORITHM)];
+    if ( calcName === "auto" ) return AlgorithmSelector.instance.centerCalculator;
     return CONFIG[MODULE_ID].losCalculators[calcName];
   }
 
@@ -259,7 +305,7 @@ export class Settings extends ModuleSettingsAbstract {
     const RTYPES = [PT_TYPES.CENTER, PT_TYPES.FIVE, PT_TYPES.NINE];
     const PT_OPTS = KEYS.LOS.TARGET.POINT_OPTIONS;
     const LTYPES = foundry.utils.filterObject(KEYS.LOS.TARGET.TYPES,
-      { POINTS: 0, PER_PIXEL: 0, GEOMETRIC: 0, WEBGL2: 0 });
+      { POINTS: 0, PER_PIXEL: 0, GEOMETRIC: 0, WEBGL2: 0, GRID_CORNERS: 0, AUTO: 0 });
     const losChoices = {};
     const ptChoices = {};
     const rangeChoices = {};
@@ -398,7 +444,7 @@ export class Settings extends ModuleSettingsAbstract {
           [PI.D3.BOTTOM]: "Bottom Elevation",
         },
       })),
-      onChange: value => this.losSettingChange(VIEWER.POINTS, value)
+      onChange: _value => this.losSettingChange(VIEWER.POINTS)
     });
 
     register(VIEWER.INSET, {
@@ -414,7 +460,36 @@ export class Settings extends ModuleSettingsAbstract {
       default: 0.75,
       type: Number,
       tab: "losViewer",
-      onChange: value => this.losSettingChange(VIEWER.INSET, value)
+      onChange: _value => this.losSettingChange(VIEWER.INSET)
+    });
+
+    const AGG = ViewerLOS.AGGREGATION_TYPES;
+    register(VIEWER.AGGREGATION, {
+      name: localize(`${VIEWER.AGGREGATION}.Name`),
+      hint: localize(`${VIEWER.AGGREGATION}.Hint`),
+      scope: "world",
+      config: false,
+      type: String,
+      choices: Object.fromEntries(Object.values(AGG).map(type => [type, localize(`${VIEWER.AGGREGATION}.${type}`)])),
+      default: AGG.MIN,
+      tab: "losViewer",
+      onChange: _value => this.losSettingChange(VIEWER.AGGREGATION)
+    });
+
+    register(VIEWER.BEST_N, {
+      name: localize(`${VIEWER.BEST_N}.Name`),
+      hint: localize(`${VIEWER.BEST_N}.Hint`),
+      range: {
+        max: 10,
+        min: 1,
+        step: 1
+      },
+      scope: "world",
+      config: false,
+      default: 2,
+      type: Number,
+      tab: "losViewer",
+      onChange: _value => this.losSettingChange(VIEWER.BEST_N)
     });
 
     // ----- NOTE: Line-of-sight target tab ----- //
@@ -429,7 +504,7 @@ export class Settings extends ModuleSettingsAbstract {
       choices: losChoices,
       default: LTYPES.POINTS,
       tab: "losTarget",
-      onChange: value => this.losSettingChange(TARGET.ALGORITHM, value)
+      onChange: _value => this.losSettingChange(TARGET.ALGORITHM)
     });
 
     register(TARGET.LARGE, {
@@ -440,7 +515,18 @@ export class Settings extends ModuleSettingsAbstract {
       type: Boolean,
       default: false,
       tab: "losTarget",
-      onChange: value => this.losSettingChange(TARGET.LARGE, value)
+      onChange: _value => this.losSettingChange(TARGET.LARGE)
+    });
+
+    register(TARGET.WORKER, {
+      name: localize(`${TARGET.WORKER}.Name`),
+      hint: localize(`${TARGET.WORKER}.Hint`),
+      scope: "world",
+      config: false,
+      type: Boolean,
+      default: false,
+      tab: "losTarget",
+      onChange: value => LOSWorkerPool.initialize(value)
     });
 
     register(TARGET.POINT_OPTIONS.POINTS, {
@@ -467,7 +553,7 @@ export class Settings extends ModuleSettingsAbstract {
           [PI.D3.BOTTOM]: "Bottom Elevation",
         },
       })),
-      onChange: value => this.losSettingChange(TARGET.POINT_OPTIONS.POINTS, value)
+      onChange: _value => this.losSettingChange(TARGET.POINT_OPTIONS.POINTS)
     });
 
     register(PT_OPTS.INSET, {
@@ -483,7 +569,7 @@ export class Settings extends ModuleSettingsAbstract {
       default: 0.75,
       type: Number,
       tab: "losTarget",
-      onChange: value => this.losSettingChange(PT_OPTS.INSET, value)
+      onChange: _value => this.losSettingChange(PT_OPTS.INSET)
     });
 
     // ----- NOTE: Workflow tab ----- //
@@ -511,6 +597,32 @@ export class Settings extends ModuleSettingsAbstract {
       onChange: _value => TokenCover._forceUpdateAllTokenCover()
     });
 
+    register(KEYS.COVER_EFFECTS.HYSTERESIS, {
+      name: localize(`${KEYS.COVER_EFFECTS.HYSTERESIS}.Name`),
+      hint: localize(`${KEYS.COVER_EFFECTS.HYSTERESIS}.Hint`),
+      scope: "world",
+      config: false,
+      type: Number,
+      range: {
+        max: 0.25,
+        min: 0,
+        step: 0.01
+      },
+      default: 0,
+      tab: "workflow",
+      onChange: _value => TokenCover._forceUpdateAllTokenCover()
+    });
+
+    register(KEYS.COVER_WORKFLOW.SOURCES, {
+      name: localize(`${KEYS.COVER_WORKFLOW.SOURCES}.Name`),
+      hint: localize(`${KEYS.COVER_WORKFLOW.SOURCES}.Hint`),
+      scope: "world",
+      config: false,
+      type: Boolean,
+      default: false,
+      tab: "workflow"
+    });
+
     if ( game.system.id === "dnd5e" ) {
       register(KEYS.COVER_WORKFLOW.CHAT, {
         name: localize(`${KEYS.COVER_WORKFLOW.CHAT}.Name`),
@@ -589,6 +701,28 @@ export class Settings extends ModuleSettingsAbstract {
         onChange: value => CONFIG.GeometryLib.visionHeightMultiplier = value
       });
 
+      register(KEYS.TOKEN_HEIGHT.USE_SIZE, {
+        name: localize(`${KEYS.TOKEN_HEIGHT.USE_SIZE}.Name`),
+        hint: localize(`${KEYS.TOKEN_HEIGHT.USE_SIZE}.Hint`),
+        scope: "world",
+        config: false,
+        type: Boolean,
+        default: false,
+        tab: "other",
+        requiresReload: true
+      });
+
+      register(KEYS.TOKEN_HEIGHT.SIZES, {
+        name: localize(`${KEYS.TOKEN_HEIGHT.SIZES}.Name`),
+        hint: localize(`${KEYS.TOKEN_HEIGHT.SIZES}.Hint`),
+        scope: "world",
+        config: false,
+        type: String,
+        default: "tiny=2, sm=3.5, med=6, lg=10, huge=15, grg=20",
+        tab: "other",
+        onChange: _value => tokenHeightSizesChanged()
+      });
+
       register(KEYS.PRONE_STATUS_ID, {
         name: localize(`${KEYS.PRONE_STATUS_ID}.Name`),
         hint: localize(`${KEYS.PRONE_STATUS_ID}.Hint`),
@@ -682,20 +816,35 @@ export class Settings extends ModuleSettingsAbstract {
     }
   }
 
-  static losSettingChange(key, value) {
+  /**
+   * Update the line-of-sight calculators and viewers for a changed setting.
+   * Uses the viewed scene's override of the setting, if any, instead of the world value.
+   * @param {string} key
+   */
+  static losSettingChange(key) {
     this.cache.delete(key);
+    CoverCache.resetRulesKeys(); // Calculator configs are part of the cover cache rules key.
+    let value = this.get(key);
     const { TARGET, VIEWER } = SETTINGS.LOS;
 
     switch ( key ) {
       case TARGET.ALGORITHM: {
         // Set a new shared calculator for all tokens.
+        // Calculators kept in CONFIG may be used again, such as by the auto algorithm, so do not destroy those.
         const losCalc = buildLOSCalculator();
+        const calculatorSelector = currentCalculatorSelector();
+        const sharedCalcs = new Set(Object.values(CONFIG[MODULE_ID].losCalculators));
         canvas.tokens.placeables.forEach(token => {
           const handler = token[MODULE_ID]?.[TRACKER_IDS.COVER];
           if ( !handler ) return;
-          if ( handler.losViewer.calculator ) handler.losViewer.calculator.destroy();
+          const oldCalc = handler.losViewer.calculator;
+          if ( oldCalc && oldCalc !== losCalc && !sharedCalcs.has(oldCalc)
+            && oldCalc !== AlgorithmSelector.instance.centerCalculator ) oldCalc.destroy();
           handler.losViewer.calculator = losCalc;
+          handler.losViewer.calculatorSelector = calculatorSelector;
         });
+        if ( calculatorSelector ) calculatorSelector.benchmark()
+          .catch(err => console.warn(`${MODULE_ID}|AlgorithmSelector|benchmark failed`, err));
 
         // Start up a new debug viewer.
         if ( this.get(this.KEYS.DEBUG.LOS) ) {
@@ -713,7 +862,9 @@ export class Settings extends ModuleSettingsAbstract {
           handler.losViewer.dirty = true;
         });
       }
-      case TARGET.PERCENT: {  /* eslint-disable-line no-fallthrough */
+      case VIEWER.AGGREGATION:  /* eslint-disable-line no-fallthrough */
+      case VIEWER.BEST_N:
+      case TARGET.PERCENT: {
         // Update the viewpoints for all tokens.
         const config = { [configKeyForSetting[key]]: value };
         canvas.tokens.placeables.forEach(token => {
@@ -728,8 +879,9 @@ export class Settings extends ModuleSettingsAbstract {
       case TARGET.POINT_OPTIONS.POINTS: value = pointIndexForSet(value);
       default: { /* eslint-disable-line no-fallthrough */
         const config = foundry.utils.expandObject({ [configKeyForSetting[key]]: value });
-        const currCalc = currentCalculator();
-        currCalc.permanentConfig = config;
+        const calculatorSelector = currentCalculatorSelector();
+        if ( calculatorSelector ) calculatorSelector.permanentConfig = config;
+        else this.currentCalculator.permanentConfig = config;
       }
     }
   }
@@ -747,6 +899,8 @@ const configKeyForSetting = {
   // Viewpoints.
   [SETTINGS.LOS.VIEWER.POINTS]: "viewpointIndex",
   [SETTINGS.LOS.VIEWER.INSET]: "viewpointInset",
+  [SETTINGS.LOS.VIEWER.AGGREGATION]: "viewpointAggregation",
+  [SETTINGS.LOS.VIEWER.BEST_N]: "viewpointBestN",
 
   // Points viewpoints.
   [SETTINGS.LOS.TARGET.POINT_OPTIONS.POINTS]: "targetPointIndex",
@@ -1,6 +1,7 @@
 /* globals
 CONFIG,
 Dialog,
+document,
 game,
 Handlebars,
 renderTemplate
@@ -84,6 +85,36 @@ export async function injectConfiguration(app, html, data, template, findString)
   app.setPosition(app.position);
 }
 
+/**
+ * Inject html into an ApplicationV2 configuration form.
+ * Requires the template to be already loaded.
+ * @param {ApplicationV2} app
+ * @param {HTMLElement} html          The application element
+ * @param {object} data               Data passed to the template
+ * @param {string} template           Path to the template
+ * @param {string} [selector]         Element to which to append; if not found, insert after the last fieldset
+ */
+export function injectConfigurationV2(app, html, data, template, selector) {
+  const myHTML = renderTemplateSync(template, data);
+  if ( !myHTML ) return;
+  const div = document.createElement("div");
+  div.innerHTML = myHTML;
+
+  // Remove html injected by a prior render, which may remain if only some parts were re-rendered.
+  const marker = `data-${MODULE_ID}-config`;
+  html.querySelectorAll(`[${marker}]`).forEach(elem => elem.remove());
+  for ( const child of div.children ) child.setAttribute(marker, "");
+
+  const parent = selector ? html.querySelector(selector) : null;
+  if ( parent ) parent.append(...div.children);
+  else {
+    const fieldsets = html.querySelectorAll("fieldset");
+    if ( fieldsets.length ) fieldsets[fieldsets.length - 1].after(...div.children);
+    else html.querySelector("form")?.append(...div.children);
+  }
+  app.setPosition();
+}
+
 /**
  * Synchronous version of renderTemplate.
  * Requires the template to be already loaded.